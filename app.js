@@ -1,23 +1,293 @@
 /* ============================================================
    ISBN Scanner — app.js  (vanilla JS, no framework)
-   Features: multi-library profiles, camera scanning via ZXing CDN,
-   book lookup (Google Books + Open Library), Google Sheets sync,
-   bookshelf view with Amazon UK links, PWA service worker registration.
+   Features: multi-library profiles stored in IndexedDB, camera and photo
+   scanning (native BarcodeDetector, or ZXing via CDN), book lookup via
+   pluggable providers (Google Books, Open Library), Google Sheets sync with
+   an offline retry queue, export/import (JSON backup, CSV, MARC21, MARCXML,
+   BibTeX), bookshelf view with configurable shop and library links, PWA
+   service worker registration.
    ============================================================ */
 
 'use strict';
 
+// ── ISBN ─────────────────────────────────────────────────────────────────────
+
+// Check digit for the first 9 digits of an ISBN-10 (mod 11, 10 written as X)
+function isbn10CheckDigit(digits9) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += (10 - i) * +digits9[i];
+  const c = (11 - sum % 11) % 11;
+  return c === 10 ? 'X' : String(c);
+}
+
+// Check digit for the first 12 digits of an EAN-13/ISBN-13 (mod 10, weights 1/3)
+function isbn13CheckDigit(digits12) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += (i % 2 ? 3 : 1) * +digits12[i];
+  return String((10 - sum % 10) % 10);
+}
+
+// Parse a scanned or typed code. Returns { isbn } holding the canonical ISBN-13,
+// or { error } explaining why the code isn't a valid book ISBN.
+function parseISBN(raw) {
+  const s = String(raw || '').toUpperCase().replace(/[\s-]/g, '');
+  if (/^\d{9}[\dX]$/.test(s)) {
+    if (isbn10CheckDigit(s) !== s[9]) return { error: 'ISBN-10 check digit does not match' };
+    const core = `978${s.slice(0, 9)}`;
+    return { isbn: core + isbn13CheckDigit(core) };
+  }
+  if (/^\d{13}$/.test(s)) {
+    if (!/^97[89]/.test(s)) return { error: 'Not a book barcode (ISBNs start with 978 or 979)' };
+    if (isbn13CheckDigit(s) !== s[12]) return { error: 'ISBN-13 check digit does not match' };
+    return { isbn: s };
+  }
+  return { error: 'Please enter a valid 10 or 13 digit ISBN' };
+}
+
+function normalizeISBN(raw) { return parseISBN(raw).isbn || ''; }
+
+// Compare two stored ISBNs, treating ISBN-10 and ISBN-13 forms of a book as equal
+function sameISBN(a, b) { return (normalizeISBN(a) || a) === (normalizeISBN(b) || b); }
+
+// Split a scanned code into the main barcode and its EAN-5 add-on, which
+// scanners report either joined ("978…15751995") or space-separated
+function parseScan(raw) {
+  const m = /^\s*(\d{13})[\s-]?(\d{5})\s*$/.exec(String(raw || ''));
+  const { isbn, error } = parseISBN(m ? m[1] : raw);
+  return isbn ? { isbn, price: m ? priceFromAddon(m[2]) : '' } : { error };
+}
+
+// ── Prices ───────────────────────────────────────────────────────────────────
+
+// A price is stored as "<ISO currency> <amount>", e.g. "USD 19.95"
+const ADDON_CURRENCIES = { 0: 'GBP', 1: 'GBP', 3: 'AUD', 4: 'NZD', 5: 'USD', 6: 'CAD' };
+const PRICE_SYMBOLS = { '£': 'GBP', '$': 'USD', '€': 'EUR', 'A$': 'AUD', 'C$': 'CAD', 'NZ$': 'NZD', '¥': 'JPY' };
+
+const formatPrice = (currency, amount) => `${currency} ${amount.toFixed(2)}`;
+
+// EAN-5 add-on: the first digit is the currency, the rest the price in
+// hundredths. 90000 means no suggested price, and 59999 a US price over $99.99.
+function priceFromAddon(addon) {
+  const currency = ADDON_CURRENCIES[addon[0]];
+  const amount = +addon.slice(1) / 100;
+  if (!currency || !amount || addon === '59999') return '';
+  return formatPrice(currency, amount);
+}
+
+// Read a typed price ("£12.99", "12.99 GBP", "USD 19.95"). Returns the stored
+// form, '' for blank, or null when it can't be read.
+function parsePrice(text) {
+  const s = String(text ?? '').trim().replace(/,/g, '');
+  if (!s) return '';
+  const m = /^([A-Z]{3}|NZ\$|[AC]\$|[£$€¥])?\s*(\d+(?:\.\d{1,2})?)\s*([A-Z]{3})?$/i.exec(s);
+  if (!m || (m[1] && m[3])) return null;
+  const tag = (m[1] || m[3] || '').toUpperCase();
+  const currency = PRICE_SYMBOLS[tag] || tag;
+  return currency ? formatPrice(currency, +m[2]) : null;
+}
+
+function displayPrice(price) {
+  const [currency, amount] = String(price || '').split(' ');
+  if (!amount) return '';
+  try { return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(+amount); }
+  catch { return price; }
+}
+
+// ── IndexedDB ────────────────────────────────────────────────────────────────
+
+const DB_NAME = 'isbn_scanner';
+const DB_VERSION = 4;
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = e => {
+        const db = req.result;
+        // Shared across libraries: per-provider lookup results, keyed by ISBN-13
+        if (e.oldVersion < 1) db.createObjectStore('lookups', { keyPath: 'isbn' });
+        // Libraries, and their books keyed by [profileId, isbn] with an index on each part
+        if (e.oldVersion < 2) {
+          db.createObjectStore('profiles', { keyPath: 'id' });
+          const books = db.createObjectStore('books', { keyPath: ['profileId', 'isbn'] });
+          books.createIndex('isbn', 'isbn');
+          books.createIndex('profileId', 'profileId');
+        }
+        // Lending records, one per checkout, kept after the book comes back
+        if (e.oldVersion < 3) db.createObjectStore('loans', { keyPath: 'id' }).createIndex('profileId', 'profileId');
+        // Deleted books and libraries, kept for a while so they can be restored
+        if (e.oldVersion < 4) db.createObjectStore('trash', { keyPath: 'id' }).createIndex('profileId', 'profileId');
+      };
+      // Another tab still has the old version open. The upgrade carries on
+      // once it closes, so say what's holding things up rather than sit blank.
+      let blocked = false;
+      req.onblocked = () => {
+        blocked = true;
+        showStorageBanner('ISBN Scanner is open in another tab. Close it (or reload it) to finish updating.');
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        if (blocked) $('banner-storage').classList.add('hidden');
+        // A newer version opened in another tab: let it upgrade, and stop saving here
+        db.onversionchange = () => {
+          db.close();
+          storageFailed = true;
+          showStorageBanner('ISBN Scanner was updated in another tab. Reload this tab to keep saving changes.');
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+function idbDone(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function idbGet(store, key) {
+  const db = await openDB();
+  return idbDone(db.transaction(store).objectStore(store).get(key));
+}
+
+async function idbGetAll(store) {
+  const db = await openDB();
+  return idbDone(db.transaction(store).objectStore(store).getAll());
+}
+
+async function idbPut(store, value) {
+  const db = await openDB();
+  return idbDone(db.transaction(store, 'readwrite').objectStore(store).put(value));
+}
+
+// Run `work(tx)` in one readwrite transaction; resolves once it commits
+async function idbWrite(stores, work) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, 'readwrite');
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+    work(tx);
+  });
+}
+
 // ── Storage ──────────────────────────────────────────────────────────────────
 
-const PROFILES_KEY = 'isbn_profiles';
+// Profiles, books, loans and the trash live in IndexedDB. initStorage() reads them into memory
+// once at start-up, so the functions below stay synchronous: reads come from
+// memory, and writes update memory and then persist in order in the
+// background. Outboxes and the active library id stay in localStorage.
+
+const PROFILES_KEY = 'isbn_profiles';  // pre-IndexedDB, read only by the migration
 const ACTIVE_KEY   = 'isbn_active';
-const booksKey = id => `isbn_books_${id}`;
+const booksKey = id => `isbn_books_${id}`;  // pre-IndexedDB, read only by the migration
+const outboxKey = id => `isbn_outbox_${id}`;
+const trayKey = id => `isbn_tray_${id}`;
+const TRASH_DAYS = 30; // how long deleted books and libraries can be restored
 
-function loadProfiles() {
-  try { return JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]'); }
-  catch { return []; }
+const mem = { profiles: [], books: new Map(), loans: new Map(), trash: new Map() }; // profileId -> newest-first array
+let storageFailed = false;
+let pendingWrite = Promise.resolve();
+
+// Queue a write so they commit in the order they were made
+function persist(stores, work) {
+  if (storageFailed) return pendingWrite;
+  pendingWrite = pendingWrite.then(() => idbWrite(stores, work)).catch(reportStorageError);
+  return pendingWrite;
+}
+
+function reportStorageError(err) {
+  console.error('Storage write failed:', err);
+  const full = err?.name === 'QuotaExceededError';
+  showStorageBanner(full
+    ? 'Device storage is full, so recent changes were not saved. Remove unused libraries or free up space on this device.'
+    : 'Could not save to device storage. Recent changes may be lost when the app closes.');
+  toast(full ? 'Storage full — changes not saved' : 'Could not save changes', 'error');
+}
+
+function showStorageBanner(msg) {
+  const banner = $('banner-storage');
+  if (!banner) return;
+  $('banner-storage-text').textContent = msg;
+  banner.classList.remove('hidden');
+}
+
+const bookRange = id => IDBKeyRange.bound([id, ''], [id, '\uffff']);
+
+function storeBooks(id, list) {
+  return persist(['books'], tx => {
+    const os = tx.objectStore('books');
+    list.forEach(b => os.put({ ...b, profileId: id }));
+  });
+}
+
+// One-time move from the localStorage keys used before IndexedDB. The old
+// keys are only removed once the copy has committed.
+async function migrateToIndexedDB() {
+  const raw = localStorage.getItem(PROFILES_KEY);
+  if (!raw) return;
+  let profiles;
+  try { profiles = JSON.parse(raw); } catch { return; }
+  await idbWrite(['profiles', 'books'], tx => {
+    profiles.forEach(p => {
+      tx.objectStore('profiles').put(p);
+      let list = [];
+      try { list = JSON.parse(localStorage.getItem(booksKey(p.id)) || '[]'); } catch {}
+      list.forEach(b => tx.objectStore('books').put({ ...b, profileId: p.id }));
+    });
+  });
+  profiles.forEach(p => localStorage.removeItem(booksKey(p.id)));
+  localStorage.removeItem(PROFILES_KEY);
+}
+
+async function initStorage() {
+  if (navigator.storage?.persist) navigator.storage.persist().catch(() => {});
+  try {
+    await migrateToIndexedDB();
+    const [profiles, rows, loanRows, trashRows] = await Promise.all(['profiles', 'books', 'loans', 'trash'].map(idbGetAll));
+    const byProfile = (records, key) => {
+      const map = new Map();
+      for (const { profileId, ...record } of records) {
+        if (!map.has(profileId)) map.set(profileId, []);
+        map.get(profileId).push(record);
+      }
+      map.forEach(list => list.sort((a, b) => String(b[key]).localeCompare(String(a[key]))));
+      return map;
+    };
+    mem.profiles = profiles.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+    mem.books = byProfile(rows, 'scannedAt');
+    mem.loans = byProfile(loanRows, 'outAt');
+    mem.trash = byProfile(trashRows, 'deletedAt');
+  } catch (err) {
+    // No usable IndexedDB (or the migration hit the quota): show whatever the
+    // old keys hold and don't pretend to save
+    console.error('IndexedDB unavailable:', err);
+    storageFailed = true;
+    try {
+      mem.profiles = JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]');
+      mem.profiles.forEach(p => mem.books.set(p.id, JSON.parse(localStorage.getItem(booksKey(p.id)) || '[]')));
+    } catch {}
+    showStorageBanner(err?.name === 'QuotaExceededError'
+      ? 'Device storage is full, so your libraries could not be upgraded. Changes made now will not be saved.'
+      : 'Device storage is unavailable (private browsing?). Changes made now will not be saved.');
+  }
+}
+
+function loadProfiles() { return mem.profiles.map(p => ({ ...p })); }
+function saveProfiles(list) {
+  mem.profiles = list.map(p => ({ ...p }));
+  persist(['profiles'], tx => {
+    const os = tx.objectStore('profiles');
+    os.clear();
+    mem.profiles.forEach(p => os.put(p));
+  });
 }
-function saveProfiles(p) { localStorage.setItem(PROFILES_KEY, JSON.stringify(p)); }
 function getActiveId()   { return localStorage.getItem(ACTIVE_KEY) || ''; }
 function setActiveId(id) { localStorage.setItem(ACTIVE_KEY, id); }
 
@@ -34,33 +304,202 @@ function createProfile(name, settings) {
   return p;
 }
 
+// Settings are merged so a form that edits some of them keeps the rest
 function updateProfile(id, name, settings) {
-  saveProfiles(loadProfiles().map(p => p.id === id ? { ...p, name, settings } : p));
+  saveProfiles(loadProfiles().map(p => p.id === id ? { ...p, name, settings: { ...p.settings, ...settings } } : p));
 }
 
 function deleteProfile(id) {
   const all = loadProfiles().filter(p => p.id !== id);
   saveProfiles(all);
-  localStorage.removeItem(booksKey(id));
+  clearBooks(id);
+  clearLoans(id);
+  localStorage.removeItem(trayKey(id));
   if (getActiveId() === id) setActiveId(all[0]?.id || '');
 }
 
-function loadBooks(id) {
-  try { return JSON.parse(localStorage.getItem(booksKey(id)) || '[]'); }
-  catch { return []; }
-}
+function loadBooks(id) { return (mem.books.get(id) || []).slice(); }
 function saveBook(book, id) {
-  const books = loadBooks(id);
-  if (!books.some(b => b.isbn === book.isbn)) {
-    books.unshift(book);
-    localStorage.setItem(booksKey(id), JSON.stringify(books));
+  const list = loadBooks(id);
+  if (!list.some(b => sameISBN(b.isbn, book.isbn))) {
+    mem.books.set(id, [book, ...list]);
+    storeBooks(id, [book]);
   }
 }
+// Replace a library's whole list (pull from sheet, imports)
+function saveBooks(list, id) {
+  mem.books.set(id, list.slice());
+  persist(['books'], tx => {
+    const os = tx.objectStore('books');
+    os.delete(bookRange(id));
+    list.forEach(b => os.put({ ...b, profileId: id }));
+  });
+}
+function updateBook(book, id) {
+  mem.books.set(id, loadBooks(id).map(b => b.isbn === book.isbn ? book : b));
+  storeBooks(id, [book]);
+}
 function removeBook(isbn, id) {
-  localStorage.setItem(booksKey(id), JSON.stringify(loadBooks(id).filter(b => b.isbn !== isbn)));
+  mem.books.set(id, loadBooks(id).filter(b => b.isbn !== isbn));
+  persist(['books'], tx => tx.objectStore('books').delete([id, isbn]));
+}
+function clearBooks(id) {
+  mem.books.delete(id);
+  persist(['books'], tx => tx.objectStore('books').delete(bookRange(id)));
+  localStorage.removeItem(outboxKey(id));
+}
+function isScanned(isbn, id) { return loadBooks(id).some(b => sameISBN(b.isbn, isbn)); }
+// The other libraries that already hold a book
+function librariesWith(isbn, exceptId) { return loadProfiles().filter(p => p.id !== exceptId && isScanned(isbn, p.id)); }
+
+// Loans: { id, isbn, borrower, outAt, dueDate: 'YYYY-MM-DD', inAt }, inAt
+// staying empty while the book is out
+function loadLoans(id) { return (mem.loans.get(id) || []).slice(); }
+function saveLoan(loan, id) {
+  const list = loadLoans(id);
+  mem.loans.set(id, list.some(l => l.id === loan.id) ? list.map(l => l.id === loan.id ? loan : l) : [loan, ...list]);
+  persist(['loans'], tx => tx.objectStore('loans').put({ ...loan, profileId: id }));
+}
+function clearLoans(id) {
+  mem.loans.delete(id);
+  persist(['loans'], tx => {
+    const os = tx.objectStore('loans');
+    os.index('profileId').openKeyCursor(IDBKeyRange.only(id)).onsuccess = e => {
+      const cursor = e.target.result;
+      if (cursor) { os.delete(cursor.primaryKey); cursor.continue(); }
+    };
+  });
+}
+// Trash entries: { id, kind: 'book'|'clear'|'library', deletedAt, books }, and
+// for a deleted library also its profile, loans, outbox and tray. A library's
+// entries are filed under its id, so they come back with it.
+function loadTrash(id) { return (mem.trash.get(id) || []).slice(); }
+function addToTrash(id, entry) {
+  const item = { id: `t_${Date.now()}_${Math.random().toString(36).slice(2,6)}`, deletedAt: new Date().toISOString(), ...entry };
+  mem.trash.set(id, [item, ...loadTrash(id)]);
+  persist(['trash'], tx => tx.objectStore('trash').put({ ...item, profileId: id }));
+  return item;
+}
+function removeFromTrash(id, trashId) {
+  mem.trash.set(id, loadTrash(id).filter(t => t.id !== trashId));
+  persist(['trash'], tx => tx.objectStore('trash').delete(trashId));
+}
+// Forget whatever has been in the trash longer than TRASH_DAYS
+function purgeTrash(now = Date.now()) {
+  const cutoff = new Date(now - TRASH_DAYS * 86400000).toISOString();
+  const expired = [];
+  mem.trash.forEach((list, id) => {
+    expired.push(...list.filter(t => t.deletedAt < cutoff).map(t => t.id));
+    mem.trash.set(id, list.filter(t => t.deletedAt >= cutoff));
+  });
+  if (expired.length) persist(['trash'], tx => expired.forEach(k => tx.objectStore('trash').delete(k)));
+}
+// Hand the loan records of some books (all of them when isbns is null) to another library
+function moveLoans(fromId, toId, isbns = null) {
+  const moving = loadLoans(fromId).filter(l => !isbns || isbns.includes(l.isbn));
+  if (!moving.length) return;
+  mem.loans.set(fromId, loadLoans(fromId).filter(l => !moving.includes(l)));
+  mem.loans.set(toId, [...moving, ...loadLoans(toId)]);
+  persist(['loans'], tx => moving.forEach(l => tx.objectStore('loans').put({ ...l, profileId: toId })));
+}
+// Hand all of a library's trash to another, passing each trashed book through mapBook
+function moveTrash(fromId, toId, mapBook) {
+  const moving = loadTrash(fromId).map(t => ({ ...t, books: t.books.map(mapBook) }));
+  if (!moving.length) return;
+  mem.trash.delete(fromId);
+  mem.trash.set(toId, [...moving, ...loadTrash(toId)].sort((a, b) => b.deletedAt.localeCompare(a.deletedAt)));
+  persist(['trash'], tx => moving.forEach(t => tx.objectStore('trash').put({ ...t, profileId: toId })));
+}
+
+// Copies are only tracked in 'count' mode; older records without a quantity are one copy
+const bookQty = book => +book.quantity || 1;
+
+// Stamp a local change; sheet rows carry the same stamp once they're sent
+function touch(book) { return { ...book, updatedAt: new Date().toISOString() }; }
+
+// Record that the sheet now holds `version` of a book. Returns false when the
+// book changed again meanwhile, so that change still needs sending.
+function markSynced(isbn, id, version) {
+  const book = loadBooks(id).find(b => b.isbn === isbn);
+  if (!book) return true;
+  updateBook({ ...book, sheetVersion: version }, id);
+  return book.updatedAt === version;
+}
+
+const countsCopies = profile => profile?.settings?.duplicates === 'count';
+
+function adjustQuantity(isbn, id, delta) {
+  const book = loadBooks(id).find(b => sameISBN(b.isbn, isbn));
+  if (!book) return null;
+  const updated = touch({ ...book, quantity: Math.max(1, bookQty(book) + delta) });
+  updateBook(updated, id);
+  return updated;
+}
+
+// Outbox: scans whose lookup or sheet sync failed, retried when back online.
+// Entry shape: { isbn, tasks: ['lookup'|'sync'|'delete'], base?, conflict?, attempts, lastError, queuedAt }
+function loadOutbox(id) {
+  try { return JSON.parse(localStorage.getItem(outboxKey(id)) || '[]'); }
+  catch { return []; }
+}
+function saveOutbox(id, items) {
+  if (items.length) localStorage.setItem(outboxKey(id), JSON.stringify(items));
+  else localStorage.removeItem(outboxKey(id));
+}
+function queueTasks(id, isbn, tasks) {
+  const items = loadOutbox(id);
+  const entry = items.find(e => e.isbn === isbn);
+  if (entry) entry.tasks = [...new Set([...entry.tasks, ...tasks])];
+  else items.push({ isbn, tasks, attempts: 0, lastError: '', queuedAt: new Date().toISOString() });
+  saveOutbox(id, items);
+}
+function completeTask(id, isbn, task) {
+  saveOutbox(id, loadOutbox(id)
+    .map(e => e.isbn === isbn ? { ...e, tasks: e.tasks.filter(t => t !== task) } : e)
+    .filter(e => e.tasks.length));
+}
+function markAttempt(id, isbn, err) {
+  saveOutbox(id, loadOutbox(id).map(e => e.isbn === isbn
+    ? { ...e, attempts: e.attempts + 1, lastError: String(err?.message || err || '') }
+    : e));
+}
+function dropFromOutbox(id, isbn) { saveOutbox(id, loadOutbox(id).filter(e => e.isbn !== isbn)); }
+// Conflicts live on the book's outbox entry so they survive a reload.
+// `row` is the sheet's current row, or null when the sheet no longer has it.
+function setConflict(id, isbn, row, reason) {
+  const items = loadOutbox(id);
+  let entry = items.find(e => e.isbn === isbn);
+  if (!entry) items.push(entry = { isbn, tasks: ['sync'], attempts: 0, lastError: '', queuedAt: new Date().toISOString() });
+  entry.conflict = { row, reason };
+  saveOutbox(id, items);
+}
+function clearConflict(id, isbn) {
+  saveOutbox(id, loadOutbox(id).map(e => {
+    if (e.isbn !== isbn) return e;
+    const { conflict, ...rest } = e;
+    return rest;
+  }));
+}
+// A removal replaces anything else queued for the book; `base` is the row version it expects
+function queueDelete(id, isbn, base) {
+  saveOutbox(id, [...loadOutbox(id).filter(e => e.isbn !== isbn),
+    { isbn, tasks: ['delete'], base, attempts: 0, lastError: '', queuedAt: new Date().toISOString() }]);
 }
-function clearBooks(id) { localStorage.removeItem(booksKey(id)); }
-function isScanned(isbn, id) { return loadBooks(id).some(b => b.isbn === isbn); }
+
+// Review tray: rapid-mode scans waiting to be accepted into the library.
+// Items are { isbn, price, status: 'queued'|'looking'|'found'|'notfound'|'offline', book, scannedAt }.
+function loadTray(id) {
+  try { return JSON.parse(localStorage.getItem(trayKey(id)) || '[]'); }
+  catch { return []; }
+}
+function saveTray(id, items) {
+  if (items.length) localStorage.setItem(trayKey(id), JSON.stringify(items));
+  else localStorage.removeItem(trayKey(id));
+}
+function updateTrayItem(id, isbn, changes) {
+  saveTray(id, loadTray(id).map(t => t.isbn === isbn ? { ...t, ...changes } : t));
+}
+function dropFromTray(id, isbn) { saveTray(id, loadTray(id).filter(t => t.isbn !== isbn)); }
 
 // Migrate legacy single-profile data
 function migrateLegacy() {
@@ -71,7 +510,7 @@ function migrateLegacy() {
     const s = JSON.parse(raw);
     const p = createProfile(s.sheetName || 'My Library', s);
     const books = localStorage.getItem('isbn_scanner_books');
-    if (books) localStorage.setItem(booksKey(p.id), books);
+    if (books) saveBooks(JSON.parse(books), p.id);
     localStorage.removeItem('isbn_scanner_settings');
     localStorage.removeItem('isbn_scanner_books');
   } catch {}
@@ -79,604 +518,3252 @@ function migrateLegacy() {
 
 // ── Book Lookup ───────────────────────────────────────────────────────────────
 
-async function lookupISBN(isbn) {
-  // Try Google Books first
-  try {
-    const r = await fetch(`https://www.googleapis.com/books/v1/volumes?q=isbn:${isbn}`);
-    const d = await r.json();
-    if (d.totalItems > 0) {
-      const info = d.items[0].volumeInfo;
-      return {
-        isbn,
-        title:         info.title || '',
-        authors:       (info.authors || []).join(', '),
-        publisher:     info.publisher || '',
-        publishedDate: info.publishedDate || '',
-        pageCount:     info.pageCount || '',
-        categories:    (info.categories || []).join(', '),
-        description:   info.description || '',
-        coverUrl:      info.imageLinks?.thumbnail?.replace('http:', 'https:') || '',
-        scannedAt:     new Date().toISOString(),
-      };
-    }
-  } catch {}
-  // Fallback: Open Library
-  try {
-    const r = await fetch(`https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`);
-    const d = await r.json();
-    const key = `ISBN:${isbn}`;
-    if (d[key]) {
-      const b = d[key];
-      return {
-        isbn,
-        title:         b.title || '',
-        authors:       (b.authors || []).map(a => a.name).join(', '),
-        publisher:     (b.publishers || []).map(p => p.name).join(', '),
-        publishedDate: b.publish_date || '',
-        pageCount:     b.number_of_pages || '',
-        categories:    (b.subjects || []).slice(0,3).map(s => s.name).join(', '),
-        description:   '',
-        coverUrl:      b.cover?.medium || '',
-        scannedAt:     new Date().toISOString(),
-      };
-    }
-  } catch {}
+function emptyBook(isbn) {
   return { isbn, title: '', authors: '', publisher: '', publishedDate: '', pageCount: '', categories: '', description: '', coverUrl: '', scannedAt: new Date().toISOString() };
 }
 
-// ── Google Sheets Sync ────────────────────────────────────────────────────────
+// Metadata providers. Each one looks up an ISBN-13 and resolves to the fields
+// it knows (any of METADATA_FIELDS), to null when it has no entry, or rejects
+// when it can't be reached. `baseUrl` is a property so a provider can be
+// pointed at a local mock server; tools/check-providers.js does that to check
+// each provider's mapping (run it with node after changing one).
+const METADATA_FIELDS = ['title', 'authors', 'publisher', 'publishedDate', 'pageCount', 'categories', 'description', 'coverUrl'];
+const providers = new Map();
+const FIELD_LABELS = { title: 'title', authors: 'authors', publisher: 'publisher', publishedDate: 'date', pageCount: 'pages', categories: 'categories', description: 'description', coverUrl: 'cover' };
 
-async function syncToSheet(scriptUrl, sheetName, book) {
-  try {
-    const url = `${scriptUrl}?sheetName=${encodeURIComponent(sheetName)}&isbn=${encodeURIComponent(book.isbn)}&title=${encodeURIComponent(book.title)}&authors=${encodeURIComponent(book.authors)}&publisher=${encodeURIComponent(book.publisher)}&publishedDate=${encodeURIComponent(book.publishedDate)}&pageCount=${encodeURIComponent(book.pageCount)}&categories=${encodeURIComponent(book.categories)}&scannedAt=${encodeURIComponent(book.scannedAt)}`;
-    const r = await fetch(url, { method: 'GET', mode: 'no-cors' });
-    return true;
-  } catch { return false; }
+function registerProvider(provider) { providers.set(provider.id, provider); }
+
+async function fetchJSON(url) {
+  const r = await fetch(url);
+  if (!r.ok) throw new Error(`HTTP ${r.status} from ${url}`);
+  return r.json();
 }
 
-// ── Helpers ───────────────────────────────────────────────────────────────────
+registerProvider({
+  id: 'google',
+  name: 'Google Books',
+  baseUrl: 'https://www.googleapis.com/books/v1',
+  async lookup(isbn) {
+    const d = await fetchJSON(`${this.baseUrl}/volumes?q=isbn:${isbn}`);
+    if (!(d.totalItems > 0)) return null;
+    const info = d.items[0].volumeInfo;
+    return {
+      title:         info.title || '',
+      authors:       (info.authors || []).join(', '),
+      publisher:     info.publisher || '',
+      publishedDate: info.publishedDate || '',
+      pageCount:     info.pageCount || '',
+      categories:    (info.categories || []).join(', '),
+      description:   info.description || '',
+      coverUrl:      info.imageLinks?.thumbnail?.replace('http:', 'https:') || '',
+    };
+  },
+});
 
-function spineColour(title) {
-  const cols = ['#2D6A4F','#1B4332','#40916C','#6B4226','#8B5E3C','#1A3A5C','#2C5F8A','#4A1942','#6B2D5E','#7A3B1E','#5C3317','#1D4E89','#0D3B66','#4B0082','#7B2D8B'];
-  let h = 0; for (let i = 0; i < title.length; i++) h = (h * 31 + title.charCodeAt(i)) | 0;
-  return cols[Math.abs(h) % cols.length];
+registerProvider({
+  id: 'openlibrary',
+  name: 'Open Library',
+  baseUrl: 'https://openlibrary.org',
+  async lookup(isbn) {
+    const d = await fetchJSON(`${this.baseUrl}/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`);
+    const b = d[`ISBN:${isbn}`];
+    if (!b) return null;
+    return {
+      title:         b.title || '',
+      authors:       (b.authors || []).map(a => a.name).join(', '),
+      publisher:     (b.publishers || []).map(p => p.name).join(', '),
+      publishedDate: b.publish_date || '',
+      pageCount:     b.number_of_pages || '',
+      categories:    (b.subjects || []).slice(0,3).map(s => s.name).join(', '),
+      coverUrl:      b.cover?.medium || '',
+    };
+  },
+});
+
+// A library's providers in lookup order. settings.providers holds
+// [{ id, enabled }]; providers it doesn't mention are appended, enabled.
+function providerOrder(settings) {
+  const saved = (settings?.providers || []).filter(p => providers.has(p.id));
+  const rest = [...providers.keys()].filter(id => !saved.some(p => p.id === id)).map(id => ({ id, enabled: true }));
+  return [...saved, ...rest];
 }
 
-function amazonURL(book) {
-  const q = [book.title, book.authors].filter(Boolean).join(' ');
-  return `https://www.amazon.co.uk/s?k=${encodeURIComponent(q)}&i=stripbooks`;
+function providerChain(settings) {
+  return providerOrder(settings).filter(p => p.enabled).map(p => providers.get(p.id));
 }
 
-function toast(msg, type = 'ok') {
-  const el = document.createElement('div');
-  el.className = 'toast-msg';
-  el.style.cssText = `position:fixed;bottom:72px;left:50%;transform:translateX(-50%);z-index:9999;padding:.6rem 1.1rem;border-radius:8px;font-size:.875rem;font-weight:600;white-space:nowrap;box-shadow:0 4px 12px rgba(0,0,0,.2);transition:opacity .4s;background:${type==='ok'?'#2D6A4F':type==='warn'?'#92400E':'#DC2626'};color:#fff;`;
-  el.textContent = msg;
-  document.body.appendChild(el);
-  setTimeout(() => { el.style.opacity = '0'; setTimeout(() => el.remove(), 400); }, 2800);
+// Lookup cache: one record per ISBN-13 holding each provider's last answer,
+// { isbn, providers: { [id]: { data, fetchedAt } } }, where data is null for
+// "no entry". Shared by all libraries. Cache failures (e.g. private browsing
+// without IndexedDB) just mean going to the network.
+const LOOKUP_TTL_MS      = 30 * 24 * 60 * 60 * 1000;
+const LOOKUP_MISS_TTL_MS = 24 * 60 * 60 * 1000; // ask again sooner when a provider had nothing
+
+async function cachedLookup(isbn) {
+  try { return await idbGet('lookups', isbn); } catch { return undefined; }
+}
+async function cacheLookup(entry) {
+  try { await idbPut('lookups', entry); } catch (err) { console.warn('Lookup cache write failed:', err); }
 }
 
-// ── State ─────────────────────────────────────────────────────────────────────
+// Asks each enabled provider in turn and fills every field from the first one
+// that has it; book.sources records which provider supplied each field.
+// Fresh cached answers are used without a request unless `refresh` is set, and
+// expired ones still stand in when a provider can't be reached.
+// Resolves to a mostly empty record when no provider knows the ISBN; rejects
+// only when no provider could be reached at all (offline, DNS, CORS, quota),
+// so callers can queue a retry.
+async function lookupISBN(isbn, settings, { refresh = false } = {}) {
+  const book = { ...emptyBook(isbn), sources: {} };
+  const chain = providerChain(settings);
+  const results = { ...(await cachedLookup(isbn))?.providers };
+  let reached = !chain.length, changed = false;
+  for (const provider of chain) {
+    if (METADATA_FIELDS.every(f => book[f])) break;
+    const hit = results[provider.id];
+    const fresh = hit && Date.now() - hit.fetchedAt < (hit.data ? LOOKUP_TTL_MS : LOOKUP_MISS_TTL_MS);
+    let data;
+    if (fresh && !refresh) {
+      data = hit.data;
+    } else {
+      try {
+        data = await provider.lookup(isbn);
+        results[provider.id] = { data, fetchedAt: Date.now() };
+        changed = true;
+      } catch (err) {
+        console.warn(`${provider.name} lookup failed:`, err);
+        if (!hit) continue;
+        data = hit.data;
+      }
+    }
+    reached = true;
+    if (!data) continue;
+    for (const f of METADATA_FIELDS) {
+      if (!book[f] && data[f]) { book[f] = data[f]; book.sources[f] = provider.id; }
+    }
+  }
+  if (changed) await cacheLookup({ isbn, providers: results });
+  if (!reached) throw new Error('Book lookup services unreachable');
+  return book;
+}
 
-let activeProfile = null;
-let books = [];
-let scannerRunning = false;
-let codeReader = null;
-let activeView = 'scan'; // 'scan' | 'shelf'
-let deleteConfirmId = null;
-let syncStatuses = {}; // isbn -> 'pending'|'synced'|'error'
-let processing = false;
-let shelfQuery = '';
-let tooltip = null;
+// Lay a lookup result over a stored book, keeping the fields edited by hand
+function keepEdits(book, found) {
+  const merged = { ...book, ...found, sources: { ...found.sources } };
+  for (const [f, id] of Object.entries(book.sources || {})) {
+    if (id === 'manual') { merged[f] = book[f]; merged.sources[f] = id; }
+  }
+  return merged;
+}
 
-// ── DOM refs ──────────────────────────────────────────────────────────────────
+// ── Custom Fields ─────────────────────────────────────────────────────────────
 
-const $ = id => document.getElementById(id);
+// A library can define its own fields in settings.fields, each
+// { id, label, type, options } where options lists an enum's choices. Values
+// are kept on book.custom by field id: numbers as numbers, tags as an array of
+// strings, and '' for a blank. In the sheet each field is a column named by
+// its label, after the fixed ones.
+const FIELD_TYPES = { text: 'Text', number: 'Number', enum: 'Choice', tags: 'Tags' };
 
-// ── Render helpers ────────────────────────────────────────────────────────────
+function customFields(profile) { return profile?.settings?.fields || []; }
 
-function renderHeader() {
-  const name = activeProfile?.name || 'No library';
-  $('lib-name').textContent = name;
+// A typed-in or sheet value as stored for a field
+function customValue(field, raw) {
+  const s = String(raw ?? '').trim();
+  if (!s) return '';
+  if (field.type === 'number') return isNaN(+s) ? s : +s;
+  if (field.type === 'tags') return [...new Set(s.split(',').map(t => t.trim()).filter(Boolean))];
+  return s;
+}
 
-  const settings = activeProfile?.settings;
-  const sheetLink = $('sheet-link');
-  if (settings?.spreadsheetUrl) {
-    sheetLink.href = settings.spreadsheetUrl;
-    sheetLink.classList.remove('hidden');
-  } else {
-    sheetLink.classList.add('hidden');
-  }
+function customText(field, value) {
+  return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+}
 
-  const dot = $('settings-dot');
-  if (!settings?.scriptUrl) dot.classList.remove('hidden');
-  else dot.classList.add('hidden');
+// Everything in a book's custom fields, for searching
+function customSearchText(profile, book) {
+  return customFields(profile).map(f => customText(f, book.custom?.[f.id])).join(' ').toLowerCase();
 }
 
-function renderBanners() {
-  const settings = activeProfile?.settings;
-  $('banner-no-profile').classList.toggle('hidden', !!activeProfile);
-  $('banner-no-sheet').classList.toggle('hidden', !activeProfile || !!settings?.scriptUrl);
-  $('banner-connected').classList.toggle('hidden', !settings?.scriptUrl);
-  if (settings?.sheetName) $('banner-sheet-name').textContent = settings.sheetName;
+// ── Google Sheets Sync ────────────────────────────────────────────────────────
+
+// Protocol (see the Apps Script in the setup guide): reads are GET requests
+// (ping, list); writes are POSTed as a JSON batch of add/update/delete ops
+// keyed by ISBN. Rows carry an "Updated At" stamp; each op sends the stamp
+// this device last saw as `base`, and the script refuses to touch a row that
+// has changed since, answering that op with a conflict instead. A library's
+// custom fields travel as `custom`, an object keyed by column label.
+const SHEET_FIELDS = ['isbn', 'title', 'authors', 'publisher', 'publishedDate', 'pageCount', 'categories', 'scannedAt', 'quantity', 'updatedAt', 'description', 'price'];
+const SHEET_SCRIPT_VERSION = 7; // matches SCRIPT_VERSION in the setup guide's code
+const SHEET_BATCH_SIZE = 50;
+
+function sheetURL(settings, params) {
+  return `${settings.scriptUrl}?${new URLSearchParams({ sheetName: settings.sheetName || 'Books', ...params })}`;
 }
 
-function renderTabBar() {
-  $('tab-scan').classList.toggle('active', activeView === 'scan');
-  $('tab-shelf').classList.toggle('active', activeView === 'shelf');
-  const badge = $('shelf-badge');
-  if (books.length > 0 && activeView !== 'shelf') {
-    badge.textContent = books.length > 99 ? '99+' : books.length;
-    badge.classList.remove('hidden');
-  } else {
-    badge.classList.add('hidden');
-  }
+function sheetRow(book, fields = []) {
+  const row = {};
+  SHEET_FIELDS.forEach(f => { row[f] = String(book[f] ?? ''); });
+  row.quantity = String(bookQty(book));
+  if (fields.length) row.custom = Object.fromEntries(fields.map(f => [f.label, customText(f, book.custom?.[f.id])]));
+  return row;
 }
 
-function renderViews() {
-  $('view-scan').classList.toggle('hidden', activeView !== 'scan');
-  $('view-shelf').classList.toggle('hidden', activeView !== 'shelf');
+function sheetOp(action, book, base = '', fields = []) {
+  return action === 'delete'
+    ? { action, isbn: book.isbn, base }
+    : { action, isbn: book.isbn, base, book: sheetRow(book, fields) };
 }
 
-function renderBookList() {
-  const list = $('book-list');
-  const empty = $('book-list-empty');
-  const badge = $('book-count-badge');
-  const clearBtn = $('clear-all-btn');
+// Check an Apps Script reply. Resolves to the parsed JSON; rejects with a
+// message a user can act on.
+async function readSheetReply(request) {
+  let r;
+  try { r = await request; }
+  catch {
+    // A deployment not shared with "Anyone" answers with a login page, which fails CORS
+    throw new Error(navigator.onLine
+      ? 'Could not reach the Apps Script. Check the URL and that the deployment\'s access is "Anyone".'
+      : 'Offline');
+  }
+  if (!r.ok) throw new Error(`The Apps Script answered with HTTP ${r.status}`);
+  let d;
+  try { d = await r.json(); }
+  catch { throw new Error('The Apps Script did not return JSON. Is the URL the web app deployment URL?'); }
+  if (d?.status === 'error') throw new Error(d.message || 'The Apps Script reported an error');
+  if (d?.status !== 'ok') throw new Error('Unexpected reply from the Apps Script. Is it the code from the Setup Guide?');
+  return d;
+}
 
-  badge.textContent = books.length;
-  badge.classList.toggle('hidden', books.length === 0);
-  clearBtn.classList.toggle('hidden', books.length === 0);
+function sheetGet(settings, params) {
+  return readSheetReply(fetch(sheetURL(settings, params)));
+}
 
-  if (books.length === 0) {
-    list.innerHTML = '';
-    empty.classList.remove('hidden');
-    return;
+// text/plain keeps the POST a "simple" request, which Apps Script can answer without a CORS preflight
+async function sheetPost(settings, ops) {
+  const d = await readSheetReply(fetch(settings.scriptUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+    body: JSON.stringify({ sheetName: settings.sheetName || 'Books', ops }),
+  }));
+  if (!Array.isArray(d.results) || d.results.length !== ops.length) {
+    throw new Error('The Apps Script is out of date. Paste the current code from the Setup Guide and deploy a new version.');
   }
-  empty.classList.add('hidden');
+  return d.results;
+}
 
-  list.innerHTML = books.map(book => {
-    const sync = syncStatuses[book.isbn];
-    const syncDot = sync ? `<span class="sync-dot ${sync}" title="${sync}"></span>` : '';
-    const cover = book.coverUrl
-      ? `<img class="book-cover" src="${book.coverUrl}" alt="Cover of ${esc(book.title)}" loading="lazy">`
-      : `<div class="book-cover-placeholder">${svgBook(24)}</div>`;
-    const meta = [
-      book.publishedDate ? `<span class="book-meta-item">${book.publishedDate.slice(0,4)}</span>` : '',
-      book.pageCount ? `<span class="book-meta-item">${book.pageCount}pp</span>` : '',
-      book.categories ? `<span class="book-meta-item">${esc(book.categories.split(',')[0].trim())}</span>` : '',
-    ].join('');
-    return `
-    <div class="book-card" data-isbn="${esc(book.isbn)}">
-      <div class="book-card-main" role="button" tabindex="0" aria-expanded="false" onclick="toggleCard(this)" onkeydown="if(event.key==='Enter')toggleCard(this)">
-        ${cover}
-        <div class="book-info">
-          <div class="book-title">${esc(book.title || 'Unknown Title')}</div>
-          ${book.authors ? `<div class="book-author">${esc(book.authors)}</div>` : ''}
-          <div class="book-meta">${meta}</div>
-        </div>
-        <div class="book-card-actions">
-          ${syncDot}
-          <button class="icon-btn" onclick="event.stopPropagation();removeBookUI('${esc(book.isbn)}')" aria-label="Remove book" title="Remove">
-            ${svgTrash(16)}
-          </button>
-        </div>
-      </div>
-      <div class="book-card-detail">
-        ${book.description ? `<p>${esc(book.description)}</p>` : '<p class="text-muted">No description available.</p>'}
-        <div class="book-isbn">ISBN: ${esc(book.isbn)}</div>
-        ${book.publisher ? `<div class="book-isbn">Publisher: ${esc(book.publisher)}</div>` : ''}
-        <div style="margin-top:.75rem">
-          <a href="${amazonURL(book)}" target="_blank" rel="noopener noreferrer" class="btn btn-outline" style="font-size:.8rem;padding:.35rem .75rem">
-            ${svgCart(14)} Search Amazon UK
-          </a>
-        </div>
-      </div>
-    </div>`;
-  }).join('');
+// Per-op result: { ok: true }, { ok: false, conflict: row } or { ok: false, error }
+function opResult(res) {
+  if (res?.status === 'ok') return { ok: true };
+  if (res?.status === 'conflict') return { ok: false, conflict: res.row };
+  return { ok: false, error: res?.message || 'The Apps Script skipped this book' };
 }
 
-function renderShelf() {
-  const container = $('shelf-rows');
-  const footer = $('shelf-footer');
-  const filtered = shelfQuery
-    ? books.filter(b =>
-        b.title?.toLowerCase().includes(shelfQuery) ||
-        b.authors?.toLowerCase().includes(shelfQuery) ||
-        b.isbn.includes(shelfQuery))
-    : books;
+async function syncToSheet(settings, action, book, base = '') {
+  try {
+    const [res] = await sheetPost(settings, [sheetOp(action, book, base, settings.fields)]);
+    return opResult(res);
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
 
-  $('shelf-heading-name').textContent = activeProfile?.name || 'My Bookshelf';
-  $('shelf-count-badge').textContent = books.length;
-  $('shelf-count-badge').classList.toggle('hidden', books.length === 0);
+async function testSheetConnection(settings) {
+  const d = await sheetGet(settings, { action: 'ping' });
+  if ((d.version || 0) < SHEET_SCRIPT_VERSION) {
+    throw new Error('The Apps Script is out of date. Paste the current code from the Setup Guide and deploy a new version.');
+  }
+  return d;
+}
 
-  if (filtered.length === 0) {
-    container.innerHTML = `<div class="empty-state">${svgBook(48)}<p>${books.length === 0 ? 'No books scanned yet.' : 'No books match your search.'}</p></div>`;
-    footer.textContent = '';
-    return;
+// Send a book's current state; the sheet's version of the row becomes this one
+async function sendBook(profile, book) {
+  const action = book.sheetVersion ? 'update' : 'add';
+  const res = await syncToSheet(profile.settings, action, book, book.sheetVersion || '');
+  if (res.ok && !markSynced(book.isbn, profile.id, book.updatedAt)) queueTasks(profile.id, book.isbn, ['sync']);
+  if (res.conflict) {
+    queueTasks(profile.id, book.isbn, ['sync']);
+    setConflict(profile.id, book.isbn, res.conflict, 'Changed in the sheet since this device last synced');
   }
+  return res;
+}
 
+async function fetchSheetRows(settings) {
+  const d = await sheetGet(settings, { action: 'list' });
+  return d.rows || [];
+}
+
+// Scripts before version 6 let Sheets turn a publication date into a Date and
+// sent it back as a UTC timestamp of the script's midnight, up to a day out
+// (2005-03-15 → 2005-03-14T23:00:00.000Z). Rounding to the nearest day
+// recovers it for time zones within 12 hours of UTC.
+function sheetDate(value) {
+  const s = String(value ?? '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}T[\d:.]+Z$/.test(s) || isNaN(Date.parse(s))) return s;
+  return new Date(Date.parse(s) + 12 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Custom fields only come back for columns the sheet has, so merge them over
+// the local values rather than replacing those. Anyone who can edit the sheet
+// can put anything in a row, so a row without a valid ISBN gives null.
+function bookFromRow(row, fields = []) {
+  const isbn = normalizeISBN(row?.isbn);
+  if (!isbn) return null;
+  const pages = parseInt(row.pageCount, 10);
+  const custom = {};
+  for (const f of fields) {
+    if (row.custom && f.label in row.custom) custom[f.id] = customValue(f, row.custom[f.label]);
+  }
+  return {
+    isbn,
+    title:         row.title || '',
+    authors:       row.authors || '',
+    publisher:     row.publisher || '',
+    publishedDate: sheetDate(row.publishedDate),
+    pageCount:     pages > 0 ? pages : '',
+    categories:    row.categories || '',
+    description:   row.description || '',
+    price:         row.price || '',
+    scannedAt:     isNaN(Date.parse(row.scannedAt)) ? new Date().toISOString() : row.scannedAt,
+    quantity:      +row.quantity || 1,
+    updatedAt:     row.updatedAt || '',
+    sheetVersion:  row.updatedAt || '',
+    custom,
+  };
+}
+
+// Rebuild a library's local list from the sheet's rows. Local-only fields
+// (description, cover) survive, and local changes that haven't reached the
+// sheet yet are kept and flagged as conflicts when the sheet also changed.
+async function pullFromSheet(profile) {
+  const rows = await fetchSheetRows(profile.settings);
+  const fields = customFields(profile);
+  const local = loadBooks(profile.id);
+  const outbox = new Map(loadOutbox(profile.id).map(e => [e.isbn, e]));
+  const report = { added: 0, updated: 0, removed: 0, conflicts: [], rejected: [] };
+  const seen = new Set();
+  const next = [];
+
+  for (const [i, row] of rows.entries()) {
+    const remote = bookFromRow(row, fields);
+    if (!remote) {
+      report.rejected.push({ row: i + 2, value: String(row?.isbn ?? ''), reason: parseISBN(row?.isbn).error });
+      continue;
+    }
+    if (seen.has(remote.isbn)) continue;
+    seen.add(remote.isbn);
+    const mine = local.find(b => sameISBN(b.isbn, remote.isbn));
+    const unsent = outbox.get(mine?.isbn || remote.isbn);
+
+    if (!mine) {
+      if (unsent?.tasks.includes('delete')) {
+        if (remote.updatedAt === unsent.base) continue; // our delete just hasn't arrived yet
+        setConflict(profile.id, remote.isbn, row, 'Changed in the sheet after it was removed here');
+        report.conflicts.push(remote.isbn);
+        continue;
+      }
+      report.added++;
+      next.push(remote);
+      continue;
+    }
+    if (unsent?.tasks.includes('sync')) {
+      if (remote.updatedAt !== (mine.sheetVersion || '')) {
+        setConflict(profile.id, mine.isbn, row, 'Changed both here and in the sheet');
+        report.conflicts.push(mine.isbn);
+      }
+      next.push(mine);
+      continue;
+    }
+    // Rows written before the sheet had Description and Price columns come back
+    // without them. A book scanned as an ISBN-10 keeps that as its key: its
+    // sheet row, loans and outbox entry all use it.
+    const merged = {
+      ...mine, ...remote,
+      isbn: mine.isbn,
+      description: remote.description || mine.description || '',
+      price: remote.price || mine.price || '',
+      custom: { ...mine.custom, ...remote.custom },
+      scannedAt: mine.scannedAt,
+    };
+    const before = sheetRow(mine, fields), after = sheetRow(merged, fields);
+    if (SHEET_FIELDS.some(f => f !== 'scannedAt' && before[f] !== after[f])
+      || JSON.stringify(before.custom) !== JSON.stringify(after.custom)) report.updated++;
+    next.push(merged);
+  }
+
+  for (const mine of local) {
+    if (seen.has(normalizeISBN(mine.isbn) || mine.isbn)) continue;
+    const unsent = outbox.get(mine.isbn);
+    if (mine.sheetVersion && !unsent) { report.removed++; continue; }
+    if (mine.sheetVersion) {
+      setConflict(profile.id, mine.isbn, null, 'Removed from the sheet but changed here');
+      report.conflicts.push(mine.isbn);
+    }
+    next.push(mine); // changed here, or never reached the sheet yet
+  }
+
+  next.sort((a, b) => String(b.scannedAt).localeCompare(String(a.scannedAt)));
+  saveBooks(next, profile.id);
+  return report;
+}
+
+// Settle a conflict recorded on an outbox entry. 'local' re-sends this device's
+// version over the sheet's row; 'sheet' takes the row (or its removal) instead.
+async function resolveConflict(profileId, isbn, keep) {
+  const entry = loadOutbox(profileId).find(e => e.isbn === isbn && e.conflict);
+  if (!entry) return;
+  const { row } = entry.conflict;
+  const mine = loadBooks(profileId).find(b => b.isbn === isbn);
+  const fields = customFields(loadProfiles().find(p => p.id === profileId));
+
+  if (keep === 'sheet') {
+    dropFromOutbox(profileId, isbn);
+    const remote = row && bookFromRow(row, fields);
+    if (!remote) removeBook(isbn, profileId);
+    else if (mine) {
+      updateBook({ ...mine, ...remote, isbn: mine.isbn, custom: { ...mine.custom, ...remote.custom }, scannedAt: mine.scannedAt }, profileId);
+    } else saveBook(remote, profileId);
+  } else {
+    // Accept the sheet's current stamp as our base so the next write goes through
+    const base = row?.updatedAt || '';
+    if (entry.tasks.includes('delete')) queueDelete(profileId, isbn, base);
+    else {
+      if (mine) updateBook({ ...mine, sheetVersion: base }, profileId);
+      clearConflict(profileId, isbn);
+    }
+    await flushOutbox();
+  }
+}
+
+// ── Offline Outbox ────────────────────────────────────────────────────────────
+
+const OUTBOX_RETRY_MS = 60000;
+let flushingOutbox = false;
+const sendingBooks = new Set(); // "profileId isbn" of books pushToSheet is sending
+
+// Retry the lookup for one queued entry; true when nothing else is left on it.
+async function retryLookup(profile, entry) {
+  const stored = loadBooks(profile.id).find(b => b.isbn === entry.isbn);
+  if (!stored) { dropFromOutbox(profile.id, entry.isbn); return false; }
+  try {
+    const found = await lookupISBN(entry.isbn, profile.settings);
+    updateBook(touch({ ...keepEdits(stored, found), scannedAt: stored.scannedAt }), profile.id);
+    completeTask(profile.id, entry.isbn, 'lookup');
+  } catch (err) {
+    markAttempt(profile.id, entry.isbn, err);
+    return false;
+  }
+  const rest = loadOutbox(profile.id).find(e => e.isbn === entry.isbn);
+  if (rest && !profile.settings?.scriptUrl) dropFromOutbox(profile.id, entry.isbn);
+  return !rest || !profile.settings?.scriptUrl;
+}
+
+// Send queued sheet writes for one library in batches; returns how many went
+// through. `onProgress(done, total)` is called after each batch.
+async function sendEntries(profile, entries, onProgress) {
+  const s = profile.settings;
+  if (!s?.scriptUrl) {
+    entries.forEach(e => dropFromOutbox(profile.id, e.isbn));
+    return 0;
+  }
+  const stored = loadBooks(profile.id);
+  const jobs = [];
+  for (const entry of entries) {
+    if (entry.tasks.includes('delete')) {
+      jobs.push({ entry, op: sheetOp('delete', entry, entry.base || '') });
+      continue;
+    }
+    const book = stored.find(b => b.isbn === entry.isbn);
+    if (!book) { dropFromOutbox(profile.id, entry.isbn); continue; }
+    if (sendingBooks.has(`${profile.id} ${book.isbn}`)) continue; // pushToSheet has it in flight
+    jobs.push({ entry, book, op: sheetOp(book.sheetVersion ? 'update' : 'add', book, book.sheetVersion || '', s.fields) });
+  }
+
+  const isActive = profile.id === activeProfile?.id;
+  let sent = 0;
+  for (let i = 0; i < jobs.length; i += SHEET_BATCH_SIZE) {
+    const batch = jobs.slice(i, i + SHEET_BATCH_SIZE);
+    if (isActive) { batch.forEach(j => { if (j.book) syncStatuses[j.entry.isbn] = 'pending'; }); renderBookList(); }
+    let results;
+    try {
+      results = await sheetPost(s, batch.map(j => j.op));
+    } catch (err) {
+      // The rest would fail the same way; leave them queued for the next attempt
+      batch.forEach(j => {
+        markAttempt(profile.id, j.entry.isbn, err.message);
+        if (isActive && j.book) syncStatuses[j.entry.isbn] = 'error';
+      });
+      break;
+    }
+    batch.forEach(({ entry, book }, k) => {
+      const res = opResult(results[k]);
+      if (isActive && book) syncStatuses[entry.isbn] = syncState(res);
+      if (res.ok) {
+        if (book) { if (markSynced(entry.isbn, profile.id, book.updatedAt)) completeTask(profile.id, entry.isbn, 'sync'); }
+        else dropFromOutbox(profile.id, entry.isbn);
+        sent++;
+      } else if (res.conflict) {
+        setConflict(profile.id, entry.isbn, res.conflict, book
+          ? 'Changed in the sheet since this device last synced'
+          : 'Changed in the sheet after it was removed here');
+      } else {
+        markAttempt(profile.id, entry.isbn, res.error);
+      }
+    });
+    onProgress?.(Math.min(i + SHEET_BATCH_SIZE, jobs.length), jobs.length);
+  }
+  return sent;
+}
+
+// Lookups go one at a time to the book APIs; sheet writes then go in batches.
+// Entries holding a conflict wait for the user to resolve them.
+async function flushProfile(profile, onProgress) {
+  let done = 0;
+  for (const entry of loadOutbox(profile.id)) {
+    if (!entry.conflict && entry.tasks.includes('lookup') && await retryLookup(profile, entry)) done++;
+  }
+  const ready = loadOutbox(profile.id).filter(e => !e.conflict && !e.tasks.includes('lookup'));
+  return done + await sendEntries(profile, ready, onProgress);
+}
+
+const syncState = res => res.ok ? 'synced' : res.conflict ? 'conflict' : 'error';
+
+async function flushOutbox() {
+  if (flushingOutbox || !navigator.onLine) return;
+  const pending = loadProfiles().filter(p => loadOutbox(p.id).some(e => !e.conflict));
+  if (!pending.length) return;
+  flushingOutbox = true;
+  let done = 0;
+  try {
+    for (const profile of pending) done += await flushProfile(profile);
+  } finally {
+    flushingOutbox = false;
+  }
+  if (activeProfile) books = loadBooks(activeProfile.id);
+  renderBookList();
+  renderShelf();
+  renderDropdown();
+  if (done) toast(`Sent ${done} queued ${done === 1 ? 'book' : 'books'}`, 'ok');
+}
+
+// Queue every book — or only those the sheet has never confirmed — and send them
+async function syncLibrary(profile, everything, onProgress) {
+  for (const b of loadBooks(profile.id)) {
+    if (everything || !b.sheetVersion) queueTasks(profile.id, b.isbn, ['sync']);
+  }
+  return flushProfile(profile, onProgress);
+}
+
+// ── Export / Import ───────────────────────────────────────────────────────────
+
+// File formats a library can be exported to and imported from. `write` turns
+// a library into the file's contents; `read` turns a file back into
+// { rows, profile? }, where rows are plain objects of book fields that
+// importBooks() validates. Binary formats are read as a Uint8Array.
+const BACKUP_FORMAT = 'isbn-scanner-backup';
+const BACKUP_VERSION = 1;
+const CSV_FIELDS = ['isbn', 'title', 'authors', 'publisher', 'publishedDate', 'pageCount', 'categories', 'description', 'coverUrl', 'price', 'quantity', 'scannedAt'];
+const formats = new Map();
+
+function registerFormat(format) { formats.set(format.id, format); }
+
+registerFormat({
+  id: 'json',
+  name: 'Backup (JSON)',
+  ext: 'json',
+  type: 'application/json',
+  write(profile, list) {
+    return JSON.stringify({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: { name: profile.name, settings: profile.settings },
+      books: list,
+      loans: loadLoans(profile.id),
+    }, null, 2);
+  },
+  read(text) {
+    const d = JSON.parse(text);
+    if (d?.format !== BACKUP_FORMAT) throw new Error('Not an ISBN Scanner backup file');
+    if (!(d.version <= BACKUP_VERSION)) throw new Error('This backup was made by a newer version of the app');
+    if (!Array.isArray(d.books)) throw new Error('The backup has no book list');
+    return { rows: d.books, profile: d.profile, loans: Array.isArray(d.loans) ? d.loans : [] };
+  },
+});
+
+registerFormat({
+  id: 'csv',
+  name: 'Spreadsheet (CSV)',
+  ext: 'csv',
+  type: 'text/csv',
+  write(profile, list) {
+    return [CSV_FIELDS, ...list.map(b => CSV_FIELDS.map(f => f === 'quantity' ? bookQty(b) : b[f]))]
+      .map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  },
+  read(text) {
+    const [header = [], ...lines] = parseCSV(text);
+    // Match headers loosely so "Published Date" (the sheet's) finds publishedDate
+    const key = h => h.toLowerCase().replace(/[^a-z0-9]/g, '');
+    const cols = header.map(h => CSV_FIELDS.find(f => f.toLowerCase() === key(h)));
+    if (!cols.includes('isbn')) throw new Error('The CSV has no ISBN column');
+    return {
+      rows: lines.filter(cells => cells.some(c => c.trim())).map(cells => {
+        const row = {};
+        cols.forEach((f, i) => { if (f) row[f] = cells[i] ?? ''; });
+        return row;
+      }),
+    };
+  },
+});
+
+registerFormat({
+  id: 'marc21',
+  name: 'MARC21',
+  ext: 'mrc',
+  type: 'application/marc',
+  binary: true,
+  write(profile, list) { return list.map(b => marcISO2709(marcFields(b))).join(''); },
+  read(bytes) { return { rows: readISO2709(bytes).map(bookFromMarc) }; },
+});
+
+registerFormat({
+  id: 'marcxml',
+  name: 'MARCXML',
+  ext: 'xml',
+  type: 'application/marcxml+xml',
+  write(profile, list) {
+    const records = list.map(b => `  <record>\n    <leader>${marcLeader(0, 0)}</leader>\n${
+      marcFields(b).map(f => f.value !== undefined
+        ? `    <controlfield tag="${f.tag}">${xmlEsc(f.value)}</controlfield>`
+        : `    <datafield tag="${f.tag}" ind1="${f.ind[0]}" ind2="${f.ind[1]}">${
+            f.subfields.map(([c, v]) => `<subfield code="${c}">${xmlEsc(v)}</subfield>`).join('')}</datafield>`).join('\n')
+    }\n  </record>`);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="http://www.loc.gov/MARC21/slim">\n${records.join('\n')}\n</collection>\n`;
+  },
+  read(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) throw new Error('The file is not valid XML');
+    const records = [...doc.getElementsByTagNameNS('*', 'record')];
+    if (!records.length) throw new Error('No MARC records found');
+    return {
+      rows: records.map(r => bookFromMarc([...r.children].flatMap(el => {
+        const tag = el.getAttribute('tag');
+        if (el.localName === 'controlfield') return [{ tag, value: el.textContent }];
+        if (el.localName !== 'datafield') return [];
+        return [{ tag, subfields: [...el.children].map(s => [s.getAttribute('code'), s.textContent]) }];
+      }))),
+    };
+  },
+});
+
+registerFormat({
+  id: 'bibtex',
+  name: 'BibTeX',
+  ext: 'bib',
+  type: 'application/x-bibtex',
+  write(profile, list) {
+    return list.map(b => {
+      const fields = {
+        title: b.title,
+        author: b.authors.split(', ').filter(Boolean).join(' and '),
+        publisher: b.publisher,
+        year: String(b.publishedDate).slice(0, 4),
+        isbn: b.isbn,
+        pagetotal: b.pageCount,
+        keywords: b.categories,
+        abstract: b.description,
+      };
+      const body = Object.entries(fields).filter(([, v]) => v).map(([k, v]) => `  ${k} = {${String(v).replace(/[{}\\]/g, '')}}`);
+      return `@book{isbn${b.isbn},\n${body.join(',\n')}\n}\n`;
+    }).join('\n');
+  },
+  read(text) {
+    const entries = parseBibTeX(text);
+    if (!entries.length) throw new Error('No BibTeX entries found');
+    return {
+      rows: entries.map(e => ({
+        isbn:          e.isbn || '',
+        title:         e.title || '',
+        authors:       (e.author || '').split(/\s+and\s+/).filter(Boolean).join(', '),
+        publisher:     e.publisher || '',
+        publishedDate: e.date || e.year || '',
+        pageCount:     e.pagetotal || '',
+        categories:    e.keywords || '',
+        description:   e.abstract || '',
+      })),
+    };
+  },
+});
+
+function csvCell(v) {
+  const s = String(v ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// RFC 4180: quoted cells may contain commas, doubled quotes and line breaks
+function parseCSV(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  text = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+// Top-level `@type{key, name = {value} | "value" | bare, …}` entries, with
+// field names lower-cased and braces dropped from values
+function parseBibTeX(text) {
+  const entries = [];
+  const re = /@(\w+)\s*\{\s*[^,\s]*\s*,/g;
+  let m;
+  while ((m = re.exec(text))) {
+    if (/^(comment|preamble|string)$/i.test(m[1])) continue;
+    const entry = {};
+    let i = re.lastIndex;
+    for (;;) {
+      const f = /\s*(\w[\w-]*)\s*=\s*/y;
+      f.lastIndex = i;
+      const name = f.exec(text);
+      if (!name) break;
+      i = f.lastIndex;
+      let value = '';
+      if (text[i] === '{' || text[i] === '"') {
+        const close = text[i] === '{' ? '}' : '"';
+        let depth = 0;
+        for (i++; i < text.length; i++) {
+          if (text[i] === '{') depth++;
+          else if (text[i] === '}' && depth) depth--;
+          else if (text[i] === close && !depth) break;
+          value += text[i];
+        }
+        i++;
+      } else {
+        const bare = /[^,}\s]*/y;
+        bare.lastIndex = i;
+        value = bare.exec(text)[0];
+        i = bare.lastIndex;
+      }
+      entry[name[1].toLowerCase()] = value.replace(/[{}]/g, '').replace(/\s+/g, ' ').trim();
+      const sep = /\s*,?/y;
+      sep.lastIndex = i;
+      sep.exec(text);
+      i = sep.lastIndex;
+    }
+    entries.push(entry);
+    re.lastIndex = i;
+  }
+  return entries;
+}
+
+function xmlEsc(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// A book as MARC fields: { tag, value } for control fields,
+// { tag, ind, subfields: [[code, value]] } for data fields. Authors are in
+// direct order ("Jane Smith"), hence first indicator 0 on 100/700.
+function marcFields(b) {
+  const authors = String(b.authors || '').split(', ').filter(Boolean);
+  const fields = [{ tag: '001', value: b.isbn }, { tag: '020', ind: '  ', subfields: [['a', b.isbn], ...(b.price ? [['c', b.price]] : [])] }];
+  if (authors[0]) fields.push({ tag: '100', ind: '0 ', subfields: [['a', authors[0]]] });
+  fields.push({ tag: '245', ind: `${authors.length ? 1 : 0}0`, subfields: [['a', b.title || '[Untitled]']] });
+  const pub = [b.publisher && ['b', b.publisher], b.publishedDate && ['c', String(b.publishedDate)]].filter(Boolean);
+  if (pub.length) fields.push({ tag: '264', ind: ' 1', subfields: pub });
+  if (b.pageCount) fields.push({ tag: '300', ind: '  ', subfields: [['a', `${b.pageCount} pages`]] });
+  if (b.description) fields.push({ tag: '520', ind: '  ', subfields: [['a', b.description]] });
+  String(b.categories || '').split(', ').filter(Boolean).forEach(c => fields.push({ tag: '650', ind: ' 4', subfields: [['a', c]] }));
+  authors.slice(1).forEach(a => fields.push({ tag: '700', ind: '0 ', subfields: [['a', a]] }));
+  if (b.coverUrl) fields.push({ tag: '856', ind: '42', subfields: [['3', 'Cover image'], ['u', b.coverUrl]] });
+  return fields;
+}
+
+function marcLeader(length, base) {
+  const pad = n => String(n).padStart(5, '0');
+  return `${pad(length)}nam a22${pad(base)} i 4500`;
+}
+
+// One record in ISO 2709 transmission format. Lengths and offsets count UTF-8 bytes.
+function marcISO2709(fields) {
+  const bytes = s => new TextEncoder().encode(s).length;
+  let directory = '', data = '', offset = 0;
+  for (const f of fields) {
+    const body = (f.value !== undefined ? f.value : f.ind + f.subfields.map(([c, v]) => `\x1F${c}${v}`).join('')) + '\x1E';
+    directory += f.tag + String(bytes(body)).padStart(4, '0') + String(offset).padStart(5, '0');
+    data += body;
+    offset += bytes(body);
+  }
+  const base = 24 + directory.length + 1;
+  return marcLeader(base + offset + 1, base) + directory + '\x1E' + data + '\x1D';
+}
+
+function readISO2709(bytes) {
+  const text = new TextDecoder();
+  const ascii = (from, to) => String.fromCharCode(...bytes.subarray(from, to));
+  const records = [];
+  for (let start = 0; start + 24 <= bytes.length;) {
+    const length = parseInt(ascii(start, start + 5), 10);
+    const base = parseInt(ascii(start + 12, start + 17), 10);
+    if (!(length > 24) || !(base > 24)) throw new Error('Not a MARC21 file');
+    const fields = [];
+    for (let d = start + 24; bytes[d] !== 0x1E && d + 12 <= start + base; d += 12) {
+      const tag = ascii(d, d + 3);
+      const len = parseInt(ascii(d + 3, d + 7), 10);
+      const at = start + base + parseInt(ascii(d + 7, d + 12), 10);
+      const body = text.decode(bytes.subarray(at, at + len)).replace(/\x1E$/, '');
+      fields.push(tag < '010'
+        ? { tag, value: body }
+        : { tag, subfields: body.split('\x1F').slice(1).map(s => [s[0], s.slice(1)]) });
+    }
+    records.push(fields);
+    start += length;
+  }
+  if (!records.length) throw new Error('No MARC records found');
+  return records;
+}
+
+function bookFromMarc(fields) {
+  const subs = (tag, code) => fields.filter(f => f.tag === tag && f.subfields)
+    .flatMap(f => f.subfields.filter(([c]) => c === code).map(([, v]) => v.trim()));
+  const first = (...pairs) => pairs.map(([t, c]) => subs(t, c)[0]).find(Boolean) || '';
+  // Drop the ISBD punctuation catalogues end subfields with (" /", " :", ".")
+  const bare = s => s.replace(/\s*[/:;,.]\s*$/, '');
+  const isbn = first(['020', 'a']).split(/\s/)[0] || fields.find(f => f.tag === '001')?.value || '';
+  return {
+    isbn,
+    title:         bare([first(['245', 'a']), first(['245', 'b'])].filter(Boolean).map(bare).join(': ')),
+    authors:       [...subs('100', 'a'), ...subs('700', 'a')].map(bare).join(', '),
+    publisher:     bare(first(['264', 'b'], ['260', 'b'])),
+    publishedDate: bare(first(['264', 'c'], ['260', 'c'])).replace(/^\[|\]$/g, ''),
+    pageCount:     first(['300', 'a']).match(/\d+/)?.[0] || '',
+    categories:    subs('650', 'a').map(bare).join(', '),
+    description:   first(['520', 'a']),
+    coverUrl:      first(['856', 'u']),
+    price:         first(['020', 'c']),
+  };
+}
+
+function exportLibrary(profile, formatId) {
+  const format = formats.get(formatId);
+  return {
+    name: `${profile.name.replace(/[^\w-]+/g, '-').replace(/^-|-$/g, '') || 'library'}-${new Date().toISOString().slice(0, 10)}.${format.ext}`,
+    type: format.type,
+    content: format.write(profile, loadBooks(profile.id)),
+  };
+}
+
+// Pick the format from the file extension, falling back to the first bytes
+function detectFormat(fileName, head) {
+  const ext = fileName.split('.').pop().toLowerCase();
+  const byExt = { json: 'json', csv: 'csv', txt: 'csv', mrc: 'marc21', marc: 'marc21', xml: 'marcxml', bib: 'bibtex' }[ext];
+  if (byExt) return formats.get(byExt);
+  const s = head.replace(/^\uFEFF/, '').trimStart();
+  if (s.startsWith('{')) return formats.get('json');
+  if (s.startsWith('<')) return formats.get('marcxml');
+  if (s.startsWith('@')) return formats.get('bibtex');
+  if (/^\d{5}[a-z ]{3}/.test(s)) return formats.get('marc21');
+  return formats.get('csv');
+}
+
+// Dates in import files: a timestamp anything Date can read, or a day as YYYY-MM-DD
+const importedTime = v => typeof v === 'string' && !isNaN(Date.parse(v)) ? v : '';
+const importedDay  = v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)) ? v : '';
+
+// A book built from an import row, keeping only the fields the app knows and
+// dropping values it couldn't display (a file can hold anything)
+function importedBook(isbn, row, keepSyncState) {
+  const book = emptyBook(isbn);
+  METADATA_FIELDS.forEach(f => { book[f] = String(row[f] ?? '').trim(); });
+  book.coverUrl = webURL(book.coverUrl);
+  book.pageCount = parseInt(book.pageCount, 10) > 0 ? parseInt(book.pageCount, 10) : '';
+  book.price = parsePrice(row.price) || '';
+  const qty = parseInt(row.quantity, 10);
+  if (qty > 1) book.quantity = qty;
+  book.scannedAt = importedTime(row.scannedAt) || book.scannedAt;
+  if (row.custom && typeof row.custom === 'object') {
+    book.custom = Object.fromEntries(Object.entries(row.custom).filter(([, v]) =>
+      typeof v === 'string' || Number.isFinite(v) || Array.isArray(v) && v.every(t => typeof t === 'string')));
+  }
+  if (row.sources && typeof row.sources === 'object') {
+    book.sources = Object.fromEntries(Object.entries(row.sources).filter(([f, id]) => METADATA_FIELDS.includes(f) && typeof id === 'string'));
+  }
+  if (READING_STATUSES[row.readingStatus]) book.readingStatus = row.readingStatus;
+  if (Number.isInteger(row.rating) && row.rating >= 1 && row.rating <= 5) book.rating = row.rating;
+  if (importedDay(row.startedAt)) book.startedAt = row.startedAt;
+  if (importedDay(row.finishedAt)) book.finishedAt = row.finishedAt;
+  if (!keepSyncState) return touch(book);
+  if (importedTime(row.updatedAt)) book.updatedAt = row.updatedAt;
+  if (typeof row.sheetVersion === 'string' && row.sheetVersion) book.sheetVersion = row.sheetVersion;
+  return book;
+}
+
+// Settings from a backup file, kept to the keys the library modal saves and
+// checked the same way, so a hand-edited file can't plant a bad link or field
+function importedSettings(s) {
+  if (!s || typeof s !== 'object') return {};
+  const text = v => typeof v === 'string' ? v.trim() : '';
+  const settings = {
+    sheetName:      text(s.sheetName),
+    scriptUrl:      webURL(s.scriptUrl),
+    spreadsheetUrl: webURL(s.spreadsheetUrl),
+    duplicates:     s.duplicates === 'count' ? 'count' : 'reject',
+    reading:        s.reading === true,
+  };
+  if (Array.isArray(s.providers)) {
+    const ids = [...new Set(s.providers.map(p => p?.id).filter(id => providers.has(id)))];
+    settings.providers = ids.map(id => ({ id, enabled: s.providers.find(p => p.id === id).enabled !== false }));
+  }
+  if (Array.isArray(s.fields)) {
+    const labels = new Set();
+    settings.fields = s.fields.filter(f => f && typeof f.id === 'string' && text(f.label) && FIELD_TYPES[f.type]).map(f => {
+      const field = { id: f.id, label: text(f.label), type: f.type };
+      if (f.type === 'enum') field.options = [...new Set((Array.isArray(f.options) ? f.options : []).map(text).filter(Boolean))];
+      return field;
+    }).filter(f => {
+      const key = f.label.toLowerCase();
+      if (labels.has(key) || (f.type === 'enum' && !f.options.length)) return false;
+      labels.add(key);
+      return true;
+    });
+  }
+  if (Array.isArray(s.links)) {
+    settings.links = s.links.filter(l => l && typeof l.id === 'string' && text(l.name) && webURL(l.url))
+      .map(l => ({ id: l.id, name: text(l.name), url: text(l.url) }));
+    settings.spineLink = settings.links.some(l => l.id === s.spineLink) ? s.spineLink : '';
+  }
+  return settings;
+}
+
+// Merge rows from an import into a library by ISBN. New books are added;
+// books already there are kept, with any details they lack filled in from
+// the file. Returns what happened to each row.
+function importBooks(profileId, rows, { keepSyncState = false } = {}) {
+  const report = { added: 0, duplicates: [], rejected: [] };
+  const list = loadBooks(profileId);
+  const seen = new Set();
+  const added = [], changed = [];
+  rows.forEach((row, i) => {
+    if (!row || typeof row !== 'object') { report.rejected.push({ row: i + 1, value: '', reason: 'Not a book record' }); return; }
+    const raw = String(row.isbn ?? '').trim();
+    if (!raw) { report.rejected.push({ row: i + 1, value: row.title || '', reason: 'No ISBN' }); return; }
+    const { isbn, error } = parseISBN(raw);
+    if (!isbn) { report.rejected.push({ row: i + 1, value: raw, reason: error }); return; }
+    if (seen.has(isbn)) { report.duplicates.push({ isbn, title: row.title || '', reason: 'Appears more than once in the file' }); return; }
+    seen.add(isbn);
+    const book = importedBook(isbn, row, keepSyncState);
+    const at = list.findIndex(b => sameISBN(b.isbn, isbn));
+    if (at < 0) { added.push(book); return; }
+    const mine = list[at];
+    const gaps = METADATA_FIELDS.filter(f => !mine[f] && book[f]);
+    report.duplicates.push({
+      isbn: mine.isbn, title: mine.title || book.title,
+      reason: gaps.length ? `Already in the library; filled in ${gaps.map(f => FIELD_LABELS[f]).join(', ')}` : 'Already in the library',
+    });
+    if (!gaps.length) return;
+    const merged = { ...mine, sources: { ...mine.sources } };
+    gaps.forEach(f => { merged[f] = book[f]; merged.sources[f] = book.sources?.[f] || 'import'; });
+    list[at] = touch(merged);
+    changed.push(list[at]);
+  });
+  report.added = added.length;
+  if (added.length || changed.length) {
+    saveBooks([...added, ...list].sort((a, b) => String(b.scannedAt).localeCompare(String(a.scannedAt))), profileId);
+  }
+  // Send whatever the sheet hasn't seen through the outbox
+  const profile = loadProfiles().find(p => p.id === profileId);
+  if (profile?.settings?.scriptUrl) {
+    [...added.filter(b => !b.sheetVersion), ...changed].forEach(b => queueTasks(profileId, b.isbn, ['sync']));
+  }
+  return report;
+}
+
+// Add a backup's loan records to a library, matching each to the library's
+// copy of the book. Loans already there (by id) are skipped; ones that don't
+// hold together are returned as rejected, like importBooks' rows.
+function importLoans(profileId, loans) {
+  const list = loadBooks(profileId);
+  const known = new Set(loadLoans(profileId).map(l => l.id));
+  const rejected = [];
+  loans.forEach((l, i) => {
+    const reject = reason => rejected.push({ row: i + 1, value: String(l?.borrower ?? l?.isbn ?? ''), reason });
+    if (!l || typeof l !== 'object' || typeof l.id !== 'string' || !l.id) return reject('Not a loan record');
+    if (known.has(l.id)) return;
+    const book = list.find(b => sameISBN(b.isbn, normalizeISBN(l.isbn)));
+    if (!book) return reject(parseISBN(l.isbn).error || 'The book is not in the library');
+    const borrower = typeof l.borrower === 'string' ? l.borrower.trim() : '';
+    if (!borrower) return reject('No borrower');
+    if (!importedTime(l.outAt)) return reject('No date it was lent');
+    if (l.inAt && !importedTime(l.inAt)) return reject('The return date is not a date');
+    if (l.dueDate && !importedDay(l.dueDate)) return reject('The due date is not a YYYY-MM-DD date');
+    known.add(l.id);
+    saveLoan({ id: l.id, isbn: book.isbn, borrower, outAt: l.outAt, dueDate: l.dueDate || '', inAt: l.inAt || '' }, profileId);
+  });
+  return rejected;
+}
+
+// ── Bulk Add ──────────────────────────────────────────────────────────────────
+
+const BULK_LOOKUP_INTERVAL_MS = 500; // between lookups, to stay inside the providers' rate limits
+
+// Pull ISBN-shaped runs of digits (optionally hyphenated) out of free text such
+// as a supplier's email or a CSV. Returns the valid ones as ISBN-13s in order,
+// with repeats and strings that fail their check digit listed separately.
+function extractISBNs(text) {
+  const isbns = [], repeated = [], invalid = [];
+  for (const [raw] of String(text).matchAll(/(?<!\d)(?:97[89]-?)?\d(?:-?\d){8}-?[\dX](?!\d)/gi)) {
+    const { isbn } = parseISBN(raw);
+    if (!isbn) invalid.push(raw);
+    else if (isbns.includes(isbn)) repeated.push(isbn);
+    else isbns.push(isbn);
+  }
+  return { isbns, repeated, invalid };
+}
+
+// Look up and add each ISBN not already in the library, one lookup at a time.
+// Books go to the sheet through the outbox afterwards, so they're sent in batches.
+async function bulkAdd(profile, isbns, onProgress, stopped) {
+  const report = { found: [], notFound: [], queued: [], duplicates: [] };
+  let lastLookup = 0;
+  for (let i = 0; i < isbns.length && !stopped(); i++) {
+    const isbn = isbns[i];
+    onProgress(i, isbns.length);
+    if (isScanned(isbn, profile.id)) { report.duplicates.push(isbn); continue; }
+    const wait = lastLookup + BULK_LOOKUP_INTERVAL_MS - Date.now();
+    if (wait > 0) await new Promise(r => setTimeout(r, wait));
+    lastLookup = Date.now();
+    let book, lookupFailed = false;
+    try { book = await lookupISBN(isbn, profile.settings); }
+    catch { book = emptyBook(isbn); lookupFailed = true; }
+    if (countsCopies(profile)) book.quantity = 1;
+    dropFromOutbox(profile.id, isbn);
+    saveBook(touch(book), profile.id);
+    const tasks = [...(lookupFailed ? ['lookup'] : []), ...(profile.settings?.scriptUrl ? ['sync'] : [])];
+    if (tasks.length) queueTasks(profile.id, isbn, tasks);
+    (lookupFailed ? report.queued : book.title ? report.found : report.notFound).push(book);
+  }
+  onProgress(isbns.length, isbns.length);
+  return report;
+}
+
+// ── Shelf Search ──────────────────────────────────────────────────────────────
+
+// Query syntax: plain words must all appear in the title, authors, ISBN or
+// custom fields. A prefix narrows a word to one field: author:, publisher:,
+// category:, title:, isbn:, status: (reading status), a custom field's label
+// without spaces, or year:1990..2000 (either end may be left open). Quote
+// values with spaces: publisher:"Faber and Faber".
+const QUERY_FIELDS = { author: 'authors', publisher: 'publisher', category: 'categories', title: 'title', isbn: 'isbn' };
+const FACET_LIMIT = 6; // chips per facet
+
+const SHELF_SORTS = {
+  scanned: { label: 'Date scanned', compare: (a, b) => String(b.scannedAt).localeCompare(String(a.scannedAt)) },
+  title:   { label: 'Title',        compare: (a, b) => sortText(titleKey(a), titleKey(b)) },
+  author:  { label: 'Author surname', compare: (a, b) => sortText(surname(a), surname(b)) || sortText(titleKey(a), titleKey(b)) },
+  year:    { label: 'Year, newest', compare: (a, b) => sortText(a.publishedDate?.slice(0, 4), b.publishedDate?.slice(0, 4), true) },
+  pages:   { label: 'Pages, most',  compare: (a, b) => (+b.pageCount || 0) - (+a.pageCount || 0) },
+};
+
+// Blank values sort last whichever way the list runs
+function sortText(a, b, descending = false) {
+  if (!a || !b) return !a - !b;
+  const order = a.localeCompare(b, undefined, { sensitivity: 'base', numeric: true });
+  return descending ? -order : order;
+}
+const titleKey = book => (book.title || '').replace(/^(the|a|an)\s+/i, '');
+const surname = book => (book.authors || '').split(',')[0].trim().split(/\s+/).pop();
+
+function parseQuery(text) {
+  const q = { terms: [], fields: [], years: null };
+  for (const [, prefix, quoted, bare] of String(text || '').matchAll(/(?:([a-z]\w*):)?(?:"([^"]*)"?|(\S+))/gi)) {
+    const value = (quoted ?? bare ?? '').toLowerCase();
+    if (!prefix) { if (value) q.terms.push(value); continue; }
+    const key = prefix.toLowerCase();
+    const years = key === 'year' && /^(\d{4})?(\.\.)?(\d{4})?$/.exec(value);
+    if (years && (years[1] || years[3])) {
+      q.years = { from: years[1] || '0000', to: years[2] ? years[3] || '9999' : years[1] };
+      continue;
+    }
+    q.fields.push({ key, value });
+  }
+  return q;
+}
+
+function matchesQuery(book, q, profile) {
+  const text = v => String(v ?? '').toLowerCase();
+  const custom = Object.fromEntries(customFields(profile).map(f =>
+    [f.label.toLowerCase().replace(/\s+/g, ''), text(customText(f, book.custom?.[f.id]))]));
+  const anywhere = [book.title, book.authors, book.isbn].map(text).join(' ') + ' ' + customSearchText(profile, book);
+  if (!q.terms.every(t => anywhere.includes(t))) return false;
+  for (const { key, value } of q.fields) {
+    if (QUERY_FIELDS[key]) { if (!text(book[QUERY_FIELDS[key]]).includes(value)) return false; }
+    else if (key in custom) { if (!custom[key].includes(value)) return false; }
+    else if (key === 'status') { if (text(READING_STATUSES[book.readingStatus] || book.readingStatus) !== value && text(book.readingStatus) !== value) return false; }
+    else if (!anywhere.includes(`${key}:${value}`)) return false; // not a prefix after all
+  }
+  if (q.years) {
+    const year = (book.publishedDate || '').slice(0, 4);
+    if (!year || year < q.years.from || year > q.years.to) return false;
+  }
+  return true;
+}
+
+// The active library's books as the shelf query, status filter and sort leave them
+function filteredBooks() {
+  const q = parseQuery(shelfQuery);
+  const byStatus = tracksReading(activeProfile) && shelfStatus && shelfStatus !== 'group';
+  return books
+    .filter(b => matchesQuery(b, q, activeProfile) &&
+      (!byStatus || (b.readingStatus || '') === (shelfStatus === 'none' ? '' : shelfStatus)))
+    .sort((SHELF_SORTS[shelfSort] || SHELF_SORTS.scanned).compare);
+}
+
+const filterActive = () => !!shelfQuery.trim() || (tracksReading(activeProfile) && !!shelfStatus && shelfStatus !== 'group');
+
+// The commonest values of a field, most common first: [[value, count], …]
+function facetCounts(list, field, limit = FACET_LIMIT) {
+  const counts = new Map();
+  for (const b of list) {
+    const values = field === 'categories' ? (b.categories || '').split(',') : [b[field] || ''];
+    for (const v of new Set(values.map(x => x.trim()).filter(Boolean))) counts.set(v, (counts.get(v) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, limit);
+}
+
+const facetToken = (key, value) => `${key}:${/[\s"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value}`;
+
+function facetActive(key, value) {
+  return parseQuery(shelfQuery).fields.some(f => f.key === key && f.value === value.toLowerCase().replace(/"/g, ''));
+}
+
+// Add a facet's token to the query, or take it out again
+window.toggleFacet = function(key, value) {
+  const token = facetToken(key, value);
+  const rest = shelfQuery.split(token).join('').replace(/\s+/g, ' ').trim();
+  setShelfFilter({ query: facetActive(key, value) ? rest : `${rest} ${token}`.trim() });
+};
+
+// Filter state lives in the URL hash (#q=…&sort=…&status=…) so a view can be bookmarked
+function readHashState() {
+  const h = new URLSearchParams(location.hash.slice(1));
+  shelfQuery = h.get('q') || '';
+  shelfSort = SHELF_SORTS[h.get('sort')] ? h.get('sort') : 'scanned';
+  shelfStatus = h.get('status') || '';
+}
+
+function writeHashState() {
+  const h = new URLSearchParams();
+  if (shelfQuery) h.set('q', shelfQuery);
+  if (shelfSort !== 'scanned') h.set('sort', shelfSort);
+  if (shelfStatus) h.set('status', shelfStatus);
+  const hash = h.toString();
+  history.replaceState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+}
+
+function setShelfFilter({ query = shelfQuery, sort = shelfSort, status = shelfStatus }) {
+  shelfQuery = query;
+  shelfSort = sort;
+  shelfStatus = status;
+  writeHashState();
+  syncFilterInputs();
+  renderShelf();
+  renderBookList();
+}
+
+function syncFilterInputs() {
+  if ($('shelf-search-input').value !== shelfQuery) $('shelf-search-input').value = shelfQuery;
+  $('shelf-sort').value = shelfSort;
+  $('shelf-status').value = shelfStatus;
+}
+
+// ── Book Links ────────────────────────────────────────────────────────────────
+
+// A library lists its shop and catalogue links in settings.links, each
+// { id, name, url } with {isbn}, {title} and {author} in the url filled in per
+// book. settings.spineLink picks the one a shelf spine opens, defaulting to
+// the first. A library that never edited its list gets DEFAULT_LINKS.
+const LINK_PRESETS = [
+  { id: 'amazon-uk',   name: 'Amazon UK',          url: 'https://www.amazon.co.uk/s?k={title}+{author}&i=stripbooks' },
+  { id: 'amazon-us',   name: 'Amazon US',          url: 'https://www.amazon.com/s?k={title}+{author}&i=stripbooks' },
+  { id: 'amazon-ca',   name: 'Amazon Canada',      url: 'https://www.amazon.ca/s?k={title}+{author}&i=stripbooks' },
+  { id: 'amazon-au',   name: 'Amazon Australia',   url: 'https://www.amazon.com.au/s?k={title}+{author}&i=stripbooks' },
+  { id: 'amazon-de',   name: 'Amazon Germany',     url: 'https://www.amazon.de/s?k={title}+{author}&i=stripbooks' },
+  { id: 'amazon-fr',   name: 'Amazon France',      url: 'https://www.amazon.fr/s?k={title}+{author}&i=stripbooks' },
+  { id: 'bookshop-uk', name: 'Bookshop.org UK',    url: 'https://uk.bookshop.org/search?keywords={isbn}' },
+  { id: 'bookshop-us', name: 'Bookshop.org US',    url: 'https://bookshop.org/search?keywords={isbn}' },
+  { id: 'abebooks',    name: 'AbeBooks',           url: 'https://www.abebooks.com/servlet/SearchResults?isbn={isbn}' },
+  { id: 'worldcat',    name: 'WorldCat libraries', url: 'https://search.worldcat.org/search?q=bn:{isbn}' },
+  { id: 'openlibrary', name: 'Open Library',       url: 'https://openlibrary.org/isbn/{isbn}' },
+];
+const DEFAULT_LINKS = ['amazon-uk', 'bookshop-uk', 'abebooks', 'worldcat'];
+
+function bookLinks(profile) {
+  return profile?.settings?.links || LINK_PRESETS.filter(l => DEFAULT_LINKS.includes(l.id));
+}
+
+function spineLink(profile) {
+  const links = bookLinks(profile);
+  return links.find(l => l.id === profile?.settings?.spineLink) || links[0] || null;
+}
+
+// The first author stands in for {author}; values are URL-encoded. Settings
+// can come from an old save or a backup file, so anything but an http(s)
+// address (javascript: and the like) comes back as '' and isn't linked.
+function linkURL(link, book) {
+  const values = { isbn: book.isbn, title: book.title || '', author: (book.authors || '').split(',')[0].trim() };
+  return webURL(String(link.url || '').replace(/\{(isbn|title|author)\}/g, (_, key) => encodeURIComponent(values[key])));
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function spineColour(title) {
+  const cols = ['#2D6A4F','#1B4332','#40916C','#6B4226','#8B5E3C','#1A3A5C','#2C5F8A','#4A1942','#6B2D5E','#7A3B1E','#5C3317','#1D4E89','#0D3B66','#4B0082','#7B2D8B'];
+  let h = 0; for (let i = 0; i < title.length; i++) h = (h * 31 + title.charCodeAt(i)) | 0;
+  return cols[Math.abs(h) % cols.length];
+}
+
+// A date as YYYY-MM-DD in the device's time zone
+function localDate(d = new Date()) {
+  return new Date(d - d.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+// "3 Oct 2026" from a YYYY-MM-DD date
+function shortDate(ymd) {
+  const d = new Date(`${ymd}T12:00`);
+  return isNaN(d) ? ymd : d.toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// The normalised form of an http(s) address, or '' for anything else
+// (javascript:, data:, relative paths, text that isn't a URL)
+function webURL(value) {
+  try {
+    const url = new URL(String(value ?? '').trim());
+    return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : '';
+  } catch {
+    return '';
+  }
+}
+
+// `action` ({ label, run }) adds a button such as Undo and keeps the toast up longer
+function toast(msg, type = 'ok', action = null) {
+  const el = document.createElement('div');
+  el.className = 'toast-msg';
+  el.style.cssText = `position:fixed;bottom:72px;left:50%;transform:translateX(-50%);z-index:9999;padding:.6rem 1.1rem;border-radius:8px;font-size:.875rem;font-weight:600;white-space:nowrap;box-shadow:0 4px 12px rgba(0,0,0,.2);transition:opacity .4s;background:${type==='ok'?'#2D6A4F':type==='warn'?'#92400E':'#DC2626'};color:#fff;`;
+  el.textContent = msg;
+  if (action) {
+    const btn = document.createElement('button');
+    btn.className = 'toast-action';
+    btn.textContent = action.label;
+    btn.addEventListener('click', () => { el.remove(); action.run(); });
+    el.append(' ', btn);
+  }
+  document.body.appendChild(el);
+  setTimeout(() => { el.style.opacity = '0'; setTimeout(() => el.remove(), 400); }, action ? 8000 : 2800);
+}
+
+// ── State ─────────────────────────────────────────────────────────────────────
+
+let activeProfile = null;
+let books = [];
+let scannerRunning = false;
+let activeView = 'scan'; // 'scan' | 'shelf' | 'stats'
+let deleteConfirmId = null;
+let syncStatuses = {}; // isbn -> 'pending'|'synced'|'error'
+let processing = false;
+let bulkRun = null; // { stopped } while a bulk add runs
+let shelfQuery = '';
+let shelfSort = 'scanned'; // a key of SHELF_SORTS
+let shelfStatus = ''; // '', 'group', 'none' or a reading status
+let attentionOnly = false; // scan list shows only books with no title
+let selectMode = false; // book cards show checkboxes for moving or copying
+const selectedIsbns = new Set();
+let tooltip = null;
+
+// ── DOM refs ──────────────────────────────────────────────────────────────────
+
+const $ = id => document.getElementById(id);
+
+// ── Render helpers ────────────────────────────────────────────────────────────
+
+function renderHeader() {
+  const name = activeProfile?.name || 'No library';
+  $('lib-name').textContent = name;
+
+  const settings = activeProfile?.settings;
+  const sheetLink = $('sheet-link');
+  if (settings?.spreadsheetUrl) {
+    sheetLink.href = settings.spreadsheetUrl;
+    sheetLink.classList.remove('hidden');
+  } else {
+    sheetLink.classList.add('hidden');
+  }
+
+  const dot = $('settings-dot');
+  if (!settings?.scriptUrl) dot.classList.remove('hidden');
+  else dot.classList.add('hidden');
+}
+
+function renderBanners() {
+  const settings = activeProfile?.settings;
+  $('banner-no-profile').classList.toggle('hidden', !!activeProfile);
+  $('banner-no-sheet').classList.toggle('hidden', !activeProfile || !!settings?.scriptUrl);
+  $('banner-connected').classList.toggle('hidden', !settings?.scriptUrl);
+  if (settings?.sheetName) $('banner-sheet-name').textContent = settings.sheetName;
+}
+
+function renderTabBar() {
+  $('tab-scan').classList.toggle('active', activeView === 'scan');
+  $('tab-shelf').classList.toggle('active', activeView === 'shelf');
+  $('tab-stats').classList.toggle('active', activeView === 'stats');
+  const badge = $('shelf-badge');
+  if (books.length > 0 && activeView !== 'shelf') {
+    badge.textContent = books.length > 99 ? '99+' : books.length;
+    badge.classList.remove('hidden');
+  } else {
+    badge.classList.add('hidden');
+  }
+}
+
+function renderViews() {
+  $('view-scan').classList.toggle('hidden', activeView !== 'scan');
+  $('view-shelf').classList.toggle('hidden', activeView !== 'shelf');
+  $('view-stats').classList.toggle('hidden', activeView !== 'stats');
+}
+
+function renderBookList() {
+  const list = $('book-list');
+  const empty = $('book-list-empty');
+  const badge = $('book-count-badge');
+  const clearBtn = $('clear-all-btn');
+
+  badge.textContent = books.length;
+  badge.classList.toggle('hidden', books.length === 0);
+  clearBtn.classList.toggle('hidden', books.length === 0);
+
+  const shown = filteredBooks();
+  const filterEl = $('filter-status');
+  filterEl.classList.toggle('hidden', !books.length || !filterActive());
+  filterEl.innerHTML = filterActive()
+    ? `Showing ${shown.length} of ${books.length}${shelfQuery.trim() ? ` matching “${esc(shelfQuery.trim())}”` : ''}. <button class="link" onclick="setShelfFilter({ query: '', status: '' })">Clear filter</button>`
+    : '';
+
+  const untitled = shown.filter(b => !b.title);
+  if (!untitled.length) attentionOnly = false;
+  const attentionBtn = $('attention-btn');
+  attentionBtn.classList.toggle('hidden', !untitled.length);
+  attentionBtn.classList.toggle('active', attentionOnly);
+  attentionBtn.setAttribute('aria-pressed', attentionOnly);
+  attentionBtn.textContent = attentionOnly ? 'Show all' : `Needs attention (${untitled.length})`;
+
+  const outbox = new Map(loadOutbox(activeProfile?.id).map(e => [e.isbn, e]));
+  const conflicts = [...outbox.values()].filter(e => e.conflict).length;
+  const waiting = outbox.size - conflicts;
+  const outboxEl = $('outbox-status');
+  outboxEl.classList.toggle('hidden', outbox.size === 0);
+  outboxEl.innerHTML = [
+    waiting ? `${waiting} ${waiting === 1 ? 'book' : 'books'} waiting to sync. <button class="link" onclick="flushOutbox()">Retry now</button>` : '',
+    conflicts ? `${conflicts} sync ${conflicts === 1 ? 'conflict' : 'conflicts'}. <button class="link" onclick="showConflicts()">Review</button>` : '',
+  ].filter(Boolean).join(' ');
+  renderLoanStatus();
+  renderSelectionBar();
+
+  if (books.length === 0) {
+    list.innerHTML = '';
+    empty.classList.remove('hidden');
+    return;
+  }
+  empty.classList.add('hidden');
+
+  const fields = customFields(activeProfile);
+  const reading = tracksReading(activeProfile);
+  const loans = loadLoans(activeProfile?.id);
+  const links = bookLinks(activeProfile);
+  list.innerHTML = (attentionOnly ? untitled : shown).map(book => {
+    const history = loans.filter(l => l.isbn === book.isbn);
+    const loan = history.find(l => !l.inAt);
+    const queued = outbox.get(book.isbn);
+    const sync = queued?.conflict ? 'conflict' : syncStatuses[book.isbn] || (queued ? 'queued' : '');
+    const syncTitle = queued?.conflict ? `Conflict: ${queued.conflict.reason}`
+      : queued ? `Queued: ${queued.tasks.join(', ')}${queued.lastError ? ` — ${queued.lastError}` : ''}`
+      : sync;
+    const syncDot = sync ? `<span class="sync-dot ${sync}" title="${esc(syncTitle)}"></span>` : '';
+    const cover = book.coverUrl
+      ? `<img class="book-cover" src="${esc(book.coverUrl)}" alt="Cover of ${esc(book.title)}" loading="lazy">`
+      : `<div class="book-cover-placeholder">${svgBook(24)}</div>`;
+    const copies = countsCopies(activeProfile)
+      ? `<span class="qty-stepper">
+          <button class="icon-btn" onclick="event.stopPropagation();decrementCopies('${escArg(book.isbn)}')" aria-label="Remove one copy" title="Remove one copy"${bookQty(book) <= 1 ? ' disabled' : ''}>${svgMinus(14)}</button>
+          <span class="qty-count" title="Copies">×${bookQty(book)}</span>
+        </span>`
+      : '';
+    const meta = [
+      book.publishedDate ? `<span class="book-meta-item">${book.publishedDate.slice(0,4)}</span>` : '',
+      book.pageCount ? `<span class="book-meta-item">${esc(book.pageCount)}pp</span>` : '',
+      book.categories ? `<span class="book-meta-item">${esc(book.categories.split(',')[0].trim())}</span>` : '',
+      book.price ? `<span class="book-meta-item">${esc(displayPrice(book.price))}</span>` : '',
+      ...fields.filter(f => f.type === 'tags').flatMap(f => book.custom?.[f.id] || [])
+        .map(tag => `<span class="book-meta-item tag">${esc(tag)}</span>`),
+      queued?.tasks.includes('lookup') ? `<span class="book-meta-item queued">lookup queued</span>` : '',
+      reading && book.readingStatus ? `<span class="book-meta-item reading-${esc(book.readingStatus)}">${READING_STATUSES[book.readingStatus] || esc(book.readingStatus)}${book.rating ? ` ${'★'.repeat(book.rating)}` : ''}</span>` : '',
+      loan ? `<span class="book-meta-item loan${isOverdue(loan) ? ' overdue' : ''}" title="Lent to ${esc(loan.borrower)}">${isOverdue(loan) ? 'overdue' : 'on loan'} · due ${esc(shortDate(loan.dueDate))}</span>` : '',
+    ].join('');
+    return `
+    <div class="book-card${selectedIsbns.has(book.isbn) ? ' selected' : ''}" data-isbn="${esc(book.isbn)}">
+      <div class="book-card-main" role="button" tabindex="0" aria-expanded="false" onclick="toggleCard(this)" onkeydown="if(event.key==='Enter')toggleCard(this)">
+        ${selectMode ? `<input type="checkbox" class="book-select" onclick="event.stopPropagation();toggleSelected('${escArg(book.isbn)}',this.checked);this.closest('.book-card').classList.toggle('selected',this.checked)"${selectedIsbns.has(book.isbn) ? ' checked' : ''} aria-label="Select ${esc(book.title || book.isbn)}">` : ''}
+        ${cover}
+        <div class="book-info">
+          <div class="book-title">${esc(book.title || 'Unknown Title')}</div>
+          ${book.authors ? `<div class="book-author">${esc(book.authors)}</div>` : ''}
+          <div class="book-meta">${meta}</div>
+        </div>
+        <div class="book-card-actions">
+          ${syncDot}
+          ${copies}
+          <button class="icon-btn" onclick="event.stopPropagation();removeBookUI('${escArg(book.isbn)}')" aria-label="Remove book" title="Remove">
+            ${svgTrash(16)}
+          </button>
+        </div>
+      </div>
+      <div class="book-card-detail">
+        ${book.description ? `<p>${esc(book.description)}</p>` : '<p class="text-muted">No description available.</p>'}
+        ${queued?.conflict ? `<div class="book-conflict">${svgAlert(14)} ${esc(queued.conflict.reason)}.
+          <button class="link" onclick="showConflicts()">Resolve…</button></div>` : ''}
+        <div class="book-isbn">ISBN: ${esc(book.isbn)}</div>
+        ${book.publisher ? `<div class="book-isbn">Publisher: ${esc(book.publisher)}</div>` : ''}
+        ${fields.filter(f => f.type !== 'tags' && customText(f, book.custom?.[f.id]))
+          .map(f => `<div class="book-isbn">${esc(f.label)}: ${esc(customText(f, book.custom[f.id]))}</div>`).join('')}
+        ${reading ? readingHTML(book) : ''}
+        ${loanHistoryHTML(history)}
+        ${sourcesHTML(book)}
+        <div class="book-card-buttons">
+          ${links.map(l => [l, linkURL(l, book)]).filter(([, url]) => url).map(([l, url]) => `<a href="${esc(url)}" target="_blank" rel="noopener noreferrer" class="btn btn-outline" style="font-size:.8rem;padding:.35rem .75rem">
+            ${svgCart(14)} ${esc(l.name)}
+          </a>`).join('')}
+          <button class="btn btn-ghost" style="font-size:.8rem;padding:.35rem .75rem" onclick="refreshMetadata('${escArg(book.isbn)}',this)">
+            ${svgRefresh(14)} Refresh details
+          </button>
+          <button class="btn btn-ghost" style="font-size:.8rem;padding:.35rem .75rem" onclick="openEditBook('${escArg(book.isbn)}')">
+            ${svgPencil(14)} Edit details
+          </button>
+          ${loan
+            ? `<button class="btn btn-ghost" style="font-size:.8rem;padding:.35rem .75rem" onclick="checkInUI('${escArg(book.isbn)}')">Check in from ${esc(loan.borrower)}</button>`
+            : `<button class="btn btn-ghost" style="font-size:.8rem;padding:.35rem .75rem" onclick="openCheckout('${escArg(book.isbn)}')">Lend…</button>`}
+        </div>
+      </div>
+    </div>`;
+  }).join('');
+}
+
+// "Data: title, authors from Google Books; cover from Open Library"
+function sourcesHTML(book) {
+  const byProvider = {};
+  for (const [field, id] of Object.entries(book.sources || {})) (byProvider[id] ||= []).push(FIELD_LABELS[field] || field);
+  const parts = Object.entries(byProvider).map(([id, fields]) =>
+    `${fields.join(', ')} ${id === 'manual' ? 'edited by hand' : `from ${providers.get(id)?.name || id}`}`);
+  return parts.length ? `<div class="book-sources">Data: ${esc(parts.join('; '))}</div>` : '';
+}
+
+function renderShelf() {
+  const container = $('shelf-rows');
+  const footer = $('shelf-footer');
+  const reading = tracksReading(activeProfile);
+  const byStatus = reading && shelfStatus && shelfStatus !== 'group';
+  const filtered = filteredBooks();
+
+  $('shelf-heading-name').textContent = activeProfile?.name || 'My Bookshelf';
+  $('shelf-count-badge').textContent = books.length;
+  $('shelf-count-badge').classList.toggle('hidden', books.length === 0);
+  $('shelf-status').classList.toggle('hidden', !reading);
+  renderFacets();
+  renderReadingStats();
+
+  if (filtered.length === 0) {
+    container.innerHTML = `<div class="empty-state">${svgBook(48)}<p>${books.length === 0 ? 'No books scanned yet.' : 'No books match your search.'}</p></div>`;
+    footer.textContent = '';
+    return;
+  }
+
+  container.innerHTML = reading && shelfStatus === 'group'
+    ? [...Object.keys(READING_STATUSES), ''].map(status => {
+        const group = filtered.filter(b => (b.readingStatus || '') === status);
+        return group.length ? `<h3 class="shelf-group-heading">${READING_STATUSES[status] || 'No status'} <span class="badge">${group.length}</span></h3>${shelfRowsHTML(group)}` : '';
+      }).join('')
+    : shelfRowsHTML(filtered);
+  const status = byStatus ? ` ${shelfStatus === 'none' ? 'with no reading status' : `marked ${READING_STATUSES[shelfStatus].toLowerCase()}`}` : '';
+  const link = spineLink(activeProfile);
+  footer.innerHTML = `${filtered.length} ${filtered.length===1?'book':'books'}${status}${shelfQuery?` matching "${esc(shelfQuery)}"`:''}${link ? ` &middot; Click any book to open ${esc(link.name)}` : ''}`;
+}
+
+function renderFacets() {
+  const chips = [['category', 'categories'], ['publisher', 'publisher']].flatMap(([key, field]) =>
+    facetCounts(books, field).map(([value, count]) => `
+      <button class="facet-chip${facetActive(key, value) ? ' active' : ''}" onclick="toggleFacet('${key}','${escArg(value)}')"
+        title="${key === 'category' ? 'Category' : 'Publisher'}: ${esc(value)}">${esc(value)} <span class="facet-count">${count}</span></button>`));
+  $('shelf-facets').innerHTML = chips.join('');
+  $('shelf-facets').classList.toggle('hidden', !chips.length);
+}
+
+function shelfRowsHTML(list) {
   const PER_SHELF = 8;
+  const link = spineLink(activeProfile);
   let html = '';
-  for (let i = 0; i < filtered.length; i += PER_SHELF) {
-    const row = filtered.slice(i, i + PER_SHELF);
+  for (let i = 0; i < list.length; i += PER_SHELF) {
+    const row = list.slice(i, i + PER_SHELF);
     html += `<div class="shelf-row"><div class="shelf-books">`;
     row.forEach(book => {
       const col = spineColour(book.title || book.isbn);
+      const href = link ? linkURL(link, book) : '';
       const inner = book.coverUrl
-        ? `<img src="${book.coverUrl}" alt="${esc(book.title)}" loading="lazy">`
+        ? `<img src="${esc(book.coverUrl)}" alt="${esc(book.title)}" loading="lazy">`
         : `<div class="book-spine-text"><span>${esc(book.title || book.isbn)}</span></div>`;
       html += `
-        <a class="book-spine" href="${amazonURL(book)}" target="_blank" rel="noopener noreferrer"
+        <a class="book-spine"${href ? ` href="${esc(href)}"` : ''} target="_blank" rel="noopener noreferrer"
            style="background:${col}"
            data-title="${esc(book.title||'Unknown')}"
            data-author="${esc(book.authors||'')}"
            data-year="${esc((book.publishedDate||'').slice(0,4))}"
-           aria-label="Search Amazon UK for ${esc(book.title||book.isbn)}"
+           data-link="${esc(href ? link.name : '')}"
+           aria-label="${href ? `Open ${esc(link.name)} for ` : ''}${esc(book.title||book.isbn)}"
            onmouseenter="showTooltip(event,this)" onmouseleave="hideTooltip()"
            onfocus="showTooltip(event,this)" onblur="hideTooltip()">
           ${inner}
           <div class="book-spine-isbn">${esc(book.isbn.slice(-4))}</div>
-          <div class="book-spine-hover">${svgCart(20)}</div>
+          ${link ? `<div class="book-spine-hover">${svgCart(20)}</div>` : ''}
         </a>`;
     });
-    html += `</div><div class="shelf-plank"></div><div class="shelf-shadow"></div></div>`;
+    html += `</div><div class="shelf-plank"></div><div class="shelf-shadow"></div></div>`;
+  }
+  return html;
+}
+
+function renderDropdown() {
+  const profiles = loadProfiles();
+  const list = $('lib-dropdown-list');
+  list.innerHTML = profiles.length === 0
+    ? `<div class="dropdown-label" style="padding:.75rem">No libraries yet.</div>`
+    : profiles.map(p => {
+        const isActive = p.id === activeProfile?.id;
+        const count = loadBooks(p.id).length;
+        const queued = loadOutbox(p.id).length;
+        const isConfirm = deleteConfirmId === p.id;
+        return `
+        <div class="dropdown-item${isActive?' active':''}" onclick="switchProfile('${p.id}')">
+          <span style="flex-shrink:0;width:14px">${isActive ? svgCheck(14) : ''}</span>
+          <span class="item-name">${esc(p.name)}</span>
+          ${queued ? `<span class="item-queued" title="${queued} waiting to sync">${queued} queued</span>` : ''}
+          <span class="item-count">${count}</span>
+          <span class="item-actions" onclick="event.stopPropagation()">
+            <button class="item-action-btn" onclick="openTransfer('${p.id}')" aria-label="Export or import ${esc(p.name)}">${svgDownload(12)}</button>
+            <button class="item-action-btn" onclick="openEditProfile('${p.id}')" aria-label="Edit ${esc(p.name)}">${svgPencil(12)}</button>
+            ${profiles.length > 1 ? `<button class="item-action-btn" onclick="openMerge('${p.id}')" aria-label="Merge ${esc(p.name)} into another library" title="Merge into…">${svgMerge(12)}</button>` : ''}
+            <button class="item-action-btn delete${isConfirm?' confirm':''}" onclick="confirmDelete('${p.id}')" title="${isConfirm?'Click again to confirm':''}" aria-label="Delete ${esc(p.name)}">${svgTrash(12)}</button>
+          </span>
+        </div>`;
+      }).join('');
+
+  // Sheet actions for the active library
+  const s = activeProfile?.settings;
+  const unsynced = books.filter(b => !b.sheetVersion).length;
+  $('lib-dropdown-actions').innerHTML = s?.scriptUrl ? `
+    <div class="dropdown-sep"></div>
+    <div class="dropdown-label">${esc(activeProfile.name)} · Google Sheet</div>
+    <button class="dropdown-action" onclick="syncLibraryUI(false)"${unsynced ? '' : ' disabled'}>
+      ${svgUpload(14)}<span class="item-name">Sync all unsynced</span><span class="item-count">${unsynced}</span>
+    </button>
+    <button class="dropdown-action" onclick="syncLibraryUI(true)"${books.length ? '' : ' disabled'}>
+      ${svgRefresh(14)}<span class="item-name">Resync library</span>
+    </button>
+    <button class="dropdown-action" onclick="pullLibrary('${activeProfile.id}')">
+      ${svgDownload(14)}<span class="item-name">Pull from sheet</span>
+    </button>` : '';
+
+  const trashed = (activeProfile ? loadTrash(activeProfile.id).filter(t => t.kind !== 'library').length : 0) +
+    [...mem.trash.values()].flat().filter(t => t.kind === 'library').length;
+  if (trashed) $('lib-dropdown-actions').innerHTML += `
+    <div class="dropdown-sep"></div>
+    <button class="dropdown-action" onclick="showTrash()">
+      ${svgTrash(14)}<span class="item-name">Recently deleted</span><span class="item-count">${trashed}</span>
+    </button>`;
+}
+
+function renderProgress(label, done, total) {
+  $('sync-progress').classList.remove('hidden');
+  $('sync-progress-label').textContent = label;
+  $('sync-progress-bar').style.width = `${total ? Math.round(done / total * 100) : 0}%`;
+}
+function hideProgress() { $('sync-progress').classList.add('hidden'); }
+
+function renderAll() {
+  renderHeader();
+  renderBanners();
+  renderTabBar();
+  renderViews();
+  renderTray();
+  renderBookList();
+  renderShelf();
+  renderStats();
+  renderDropdown();
+}
+
+// ── UI Actions ────────────────────────────────────────────────────────────────
+
+window.toggleCard = function(el) {
+  const detail = el.closest('.book-card').querySelector('.book-card-detail');
+  const open = detail.classList.toggle('open');
+  el.setAttribute('aria-expanded', open);
+};
+
+window.removeBookUI = async function(isbn) {
+  if (!activeProfile) return;
+  const profile = activeProfile;
+  const book = books.find(b => b.isbn === isbn);
+  removeBook(isbn, profile.id);
+  dropFromOutbox(profile.id, isbn);
+  books = loadBooks(profile.id);
+  delete syncStatuses[isbn];
+  renderBookList();
+  renderShelf();
+  renderDropdown();
+  renderTabBar();
+  if (!book) return;
+  const entry = addToTrash(profile.id, { kind: 'book', books: [book] });
+  toast('Book removed', 'ok', { label: 'Undo', run: () => restoreTrash(profile.id, entry.id) });
+  await removeFromSheet(profile, book);
+};
+
+window.decrementCopies = async function(isbn) {
+  if (!activeProfile) return;
+  const book = adjustQuantity(isbn, activeProfile.id, -1);
+  if (!book) return;
+  books = loadBooks(activeProfile.id);
+  renderBookList();
+  await pushToSheet(activeProfile, book);
+  renderBookList();
+};
+
+// Re-ask the providers, skipping the cache, and keep anything they no longer supply
+window.refreshMetadata = async function(isbn, btn) {
+  if (!activeProfile) return;
+  const profile = activeProfile;
+  if (btn) { btn.disabled = true; btn.classList.add('processing'); }
+  try {
+    const found = await lookupISBN(isbn, profile.settings, { refresh: true });
+    const book = loadBooks(profile.id).find(b => b.isbn === isbn);
+    if (!book) return;
+    const updated = { ...book, sources: { ...book.sources } };
+    let changed = 0;
+    for (const f of METADATA_FIELDS) {
+      if (book.sources?.[f] === 'manual') continue;
+      if (found[f] && String(found[f]) !== String(book[f] ?? '')) {
+        updated[f] = found[f];
+        updated.sources[f] = found.sources[f];
+        changed++;
+      }
+    }
+    if (!changed) { toast('Details are up to date', 'ok'); return; }
+    updateBook(touch(updated), profile.id);
+    books = loadBooks(profile.id);
+    renderBookList();
+    renderShelf();
+    toast(`Updated ${changed} ${changed === 1 ? 'detail' : 'details'}`, 'ok');
+    await pushToSheet(profile, loadBooks(profile.id).find(b => b.isbn === isbn));
+    renderBookList();
+  } catch {
+    toast('Could not reach the book lookup services', 'error');
+  } finally {
+    if (btn?.isConnected) { btn.disabled = false; btn.classList.remove('processing'); }
+  }
+};
+
+// Form fields, in order; each has an input with id edit-<field>
+const EDIT_FIELDS = [...METADATA_FIELDS, 'price', 'startedAt', 'finishedAt'];
+
+// `customOnly` asks for just the library's own fields, as right after a scan
+window.openEditBook = function(isbn, { customOnly = false } = {}) {
+  const book = books.find(b => b.isbn === isbn);
+  if (!book) return;
+  $('edit-modal-isbn').value = isbn;
+  $('edit-modal-title').textContent = customOnly ? `Details for ${book.title || isbn}`
+    : book.title ? 'Edit details' : `Add details for ${isbn}`;
+  for (const f of EDIT_FIELDS) $(`edit-${f}`).value = book[f] ?? '';
+  $('edit-standard').classList.toggle('hidden', customOnly);
+  $('edit-reading').classList.toggle('hidden', !tracksReading(activeProfile));
+  $('edit-cancel-btn').textContent = customOnly ? 'Skip' : 'Cancel';
+  renderCustomInputs(customFields(activeProfile), book.custom || {});
+  $('edit-modal').classList.remove('hidden');
+  (customOnly ? $('edit-custom').querySelector('input, select') : $('edit-title'))?.focus();
+};
+
+function renderCustomInputs(fields, values) {
+  $('edit-custom').innerHTML = fields.map(f => {
+    const id = `edit-custom-${esc(f.id)}`;
+    const value = esc(customText(f, values[f.id]));
+    const input = f.type === 'enum'
+      ? `<select id="${id}"><option value=""></option>${f.options.map(o =>
+          `<option${o === values[f.id] ? ' selected' : ''}>${esc(o)}</option>`).join('')}</select>`
+      : f.type === 'number'
+        ? `<input type="number" id="${id}" step="any" value="${value}">`
+        : `<input type="text" id="${id}" value="${value}"${f.type === 'tags' ? ' placeholder="Separate several with commas"' : ''}>`;
+    return `<div class="field"><label for="${id}">${esc(f.label)}</label>${input}</div>`;
+  }).join('');
+}
+
+// Values from the edit form, or a message for the first one that won't do
+function readEditForm() {
+  const custom = {};
+  for (const f of customFields(activeProfile)) {
+    const input = $(`edit-custom-${f.id}`);
+    custom[f.id] = customValue(f, input.value);
+    if (f.type === 'number' && (input.validity.badInput || typeof custom[f.id] === 'string' && custom[f.id])) {
+      return { error: `${f.label} must be a number` };
+    }
+  }
+  const v = Object.fromEntries(EDIT_FIELDS.map(f => [f, $(`edit-${f}`).value.trim()]));
+  v.custom = custom;
+  if (v.publishedDate && !/^\d{4}(-\d{2}){0,2}$/.test(v.publishedDate)) return { error: 'Enter the date as a year, or YYYY-MM-DD' };
+  if ($('edit-pageCount').validity.badInput) return { error: 'Pages must be a whole number' };
+  if (v.pageCount) {
+    if (!/^\d+$/.test(v.pageCount) || !+v.pageCount) return { error: 'Pages must be a whole number' };
+    v.pageCount = +v.pageCount;
+  }
+  if (v.coverUrl) {
+    v.coverUrl = webURL(v.coverUrl);
+    if (!v.coverUrl) return { error: 'The cover URL must be a web address starting with http:// or https://' };
+  }
+  v.price = parsePrice(v.price);
+  if (v.price === null) return { error: 'Enter a price like £12.99 or 19.95 USD' };
+  if (v.startedAt && v.finishedAt && v.finishedAt < v.startedAt) return { error: 'The finish date is before the start date' };
+  return { values: v };
+}
+
+async function saveEditModal() {
+  const profile = activeProfile;
+  const isbn = $('edit-modal-isbn').value;
+  const book = profile && loadBooks(profile.id).find(b => b.isbn === isbn);
+  if (!book) { $('edit-modal').classList.add('hidden'); return; }
+  const { values, error } = readEditForm();
+  if (error) { toast(error, 'warn'); return; }
+  const updated = { ...book, sources: { ...book.sources } };
+  let changed = 0;
+  for (const f of EDIT_FIELDS) {
+    if (String(values[f]) === String(book[f] ?? '')) continue;
+    updated[f] = values[f];
+    // Edited fields are kept when the book is looked up again
+    if (METADATA_FIELDS.includes(f)) {
+      if (values[f]) updated.sources[f] = 'manual';
+      else delete updated.sources[f];
+    }
+    changed++;
+  }
+  if (customFields(profile).some(f => customText(f, values.custom[f.id]) !== customText(f, book.custom?.[f.id]))) {
+    updated.custom = { ...book.custom, ...values.custom };
+    changed++;
+  }
+  $('edit-modal').classList.add('hidden');
+  if (!changed) return;
+  updateBook(touch(updated), profile.id);
+  books = loadBooks(profile.id);
+  renderBookList();
+  renderShelf();
+  toast(`Saved "${updated.title || isbn}"`, 'ok');
+  await pushToSheet(profile, loadBooks(profile.id).find(b => b.isbn === isbn));
+  renderBookList();
+}
+
+window.switchProfile = function(id) {
+  setActiveId(id);
+  activeProfile = getActiveProfile();
+  books = loadBooks(activeProfile?.id);
+  syncStatuses = {};
+  selectMode = false;
+  selectedIsbns.clear();
+  stopScanner();
+  closeDropdown();
+  if (activeProfile) resumeTray(activeProfile);
+  renderAll();
+};
+
+window.confirmDelete = function(id) {
+  if (deleteConfirmId === id) {
+    const p = loadProfiles().find(x => x.id === id);
+    if (!p) return;
+    const entry = addToTrash(id, {
+      kind: 'library', profile: p, books: loadBooks(id), loans: loadLoans(id), outbox: loadOutbox(id), tray: loadTray(id),
+    });
+    deleteProfile(id);
+    activeProfile = getActiveProfile();
+    books = loadBooks(activeProfile?.id || '');
+    syncStatuses = {};
+    deleteConfirmId = null;
+    toast(`Deleted "${p.name}"`, 'warn', { label: 'Undo', run: () => restoreTrash(id, entry.id) });
+    renderAll();
+  } else {
+    deleteConfirmId = id;
+    renderDropdown();
+    setTimeout(() => { deleteConfirmId = null; renderDropdown(); }, 3000);
+  }
+};
+
+window.openEditProfile = function(id) {
+  const p = loadProfiles().find(x => x.id === id);
+  if (!p) return;
+  closeDropdown();
+  $('profile-modal-title').textContent = 'Edit Library';
+  $('profile-modal-id').value = id;
+  $('profile-name').value = p.name;
+  $('profile-sheet-name').value = p.settings.sheetName || '';
+  $('profile-script-url').value = p.settings.scriptUrl || '';
+  $('profile-spreadsheet-url').value = p.settings.spreadsheetUrl || '';
+  $('profile-duplicates').value = p.settings.duplicates || 'reject';
+  renderProviderList(providerOrder(p.settings));
+  renderFieldList(customFields(p));
+  renderLinkList(bookLinks(p), spineLink(p)?.id);
+  $('profile-reading').checked = tracksReading(p);
+  $('profile-modal').classList.remove('hidden');
+};
+
+window.showTooltip = function(e, el) {
+  if (!tooltip) return;
+  tooltip.querySelector('.tt-title').textContent  = el.dataset.title;
+  tooltip.querySelector('.tt-author').textContent = el.dataset.author;
+  tooltip.querySelector('.tt-year').textContent   = el.dataset.year;
+  tooltip.querySelector('.tt-link').classList.toggle('hidden', !el.dataset.link);
+  tooltip.querySelector('.tt-link-name').textContent = el.dataset.link;
+  tooltip.classList.add('visible');
+  positionTooltip(e);
+};
+window.hideTooltip = function() { tooltip?.classList.remove('visible'); };
+
+function positionTooltip(e) {
+  if (!tooltip) return;
+  const x = Math.min(e.clientX + 12, window.innerWidth - 200);
+  const y = Math.max(e.clientY - 80, 8);
+  tooltip.style.left = x + 'px';
+  tooltip.style.top  = y + 'px';
+}
+
+// ── Scanner ───────────────────────────────────────────────────────────────────
+
+let stopDecoding = null;   // stops the active backend's decode loop
+let scanStream = null;
+let lastScanTime = 0;
+const SCAN_DEBOUNCE_MS = 500; // Prevent duplicate scans too quickly
+let torchSupported = false;
+let torchEnabled = false;
+let lastRejectedCode = '';
+const CAMERA_KEY = 'isbn_camera'; // deviceId of the camera picked in the scanner
+const NATIVE_SCAN_INTERVAL_MS = 150;
+// BarcodeDetector names for the formats scannerHints() gives ZXing
+const NATIVE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128', 'code_39', 'itf'];
+
+function onScanResult(text) {
+  if (!text) return;
+
+  // Apply debouncing to prevent rapid repeated scans. Rapid mode skips it
+  // (it could swallow the next book) and suppresses recent codes instead.
+  const now = Date.now();
+  if (!rapidMode && now - lastScanTime < SCAN_DEBOUNCE_MS) return;
+  lastScanTime = now;
+
+  const { isbn, price, error } = parseScan(text);
+  if (!isbn) {
+    // Warn once per code rather than on every frame it stays in view
+    if (text !== lastRejectedCode) toast(`${text}: ${error}`, 'warn');
+    lastRejectedCode = text;
+    return;
+  }
+  lastRejectedCode = '';
+  if (loanMode) { handleLoanScan(isbn); return; }
+  if (rapidMode) {
+    if (queueRapid(isbn, price) && navigator.vibrate) navigator.vibrate(100);
+    return;
+  }
+  // Haptic feedback on successful scan (mobile)
+  if (navigator.vibrate) {
+    navigator.vibrate(200);
+  }
+  handleISBN(isbn, { price });
+}
+
+// Use hints to prioritise EAN-13 (ISBN barcodes) and expand supported formats
+// BarcodeFormat and DecodeHintType come from @zxing/library (window.ZXing)
+function scannerHints() {
+  const ZXingLib = window.ZXing || {};
+  const BarcodeFormat  = ZXingLib.BarcodeFormat  || {};
+  const DecodeHintType = ZXingLib.DecodeHintType || {};
+  const hints = new Map();
+  const formats = [
+    BarcodeFormat.EAN_13,
+    BarcodeFormat.EAN_8,
+    BarcodeFormat.UPC_A,
+    BarcodeFormat.UPC_E,
+    BarcodeFormat.CODE_128,
+    BarcodeFormat.CODE_39,
+    BarcodeFormat.ITF,
+  ].filter(f => f !== undefined);
+  if (formats.length && DecodeHintType.POSSIBLE_FORMATS !== undefined) {
+    hints.set(DecodeHintType.POSSIBLE_FORMATS, formats);
+  }
+  if (DecodeHintType.TRY_HARDER !== undefined) {
+    hints.set(DecodeHintType.TRY_HARDER, true);
+  }
+  return hints.size ? hints : undefined;
+}
+
+// Scanner backends, in order of preference. start(video, onText) decodes a
+// playing <video> until the function it resolves to is called; decodeImage(canvas)
+// resolves to the text of every barcode in a still image.
+const scannerBackends = [
+  {
+    id: 'native',
+    name: 'BarcodeDetector',
+    async available() {
+      if (!('BarcodeDetector' in window)) return false;
+      const supported = await BarcodeDetector.getSupportedFormats().catch(() => []);
+      return supported.includes('ean_13');
+    },
+    async detector() {
+      const supported = await BarcodeDetector.getSupportedFormats();
+      return new BarcodeDetector({ formats: NATIVE_FORMATS.filter(f => supported.includes(f)) });
+    },
+    async start(video, onText) {
+      const detector = await this.detector();
+      let stopped = false, timer = null;
+      const tick = async () => {
+        try {
+          if (video.readyState >= 2) (await detector.detect(video)).forEach(code => onText(withAddon(code.rawValue, video)));
+        } catch (err) {
+          console.error('BarcodeDetector failed:', err);
+        }
+        if (!stopped) timer = setTimeout(tick, NATIVE_SCAN_INTERVAL_MS);
+      };
+      tick();
+      return () => { stopped = true; clearTimeout(timer); };
+    },
+    async decodeImage(canvas) {
+      const detector = await this.detector();
+      return [...new Set((await detector.detect(canvas)).map(code => withAddon(code.rawValue, canvas)))];
+    },
+  },
+  {
+    id: 'zxing',
+    name: 'ZXing',
+    async available() { return !!window.ZXingBrowser; },
+    async start(video, onText) {
+      const reader = new window.ZXingBrowser.BrowserMultiFormatReader(scannerHints());
+      const controls = reader.scan(video, result => { if (result) onText(zxingText(result)); });
+      return () => controls.stop();
+    },
+    // ZXing returns one result per decode, so each one found is painted over
+    // and the image decoded again until nothing more turns up
+    async decodeImage(canvas) {
+      const reader = new window.ZXingBrowser.BrowserMultiFormatReader(scannerHints());
+      const ctx = canvas.getContext('2d');
+      const codes = [];
+      for (let i = 0; i < PHOTO_MAX_CODES; i++) {
+        let result;
+        try { result = reader.decodeFromCanvas(canvas); } catch { break; }
+        const points = result.getResultPoints() || [];
+        if (!points.length || codes.includes(zxingText(result))) break;
+        codes.push(zxingText(result));
+        // The points run along one line across the bars, at any height within
+        // them; cover the bars' full length either side of it but little beyond
+        // their ends, so a neighbouring barcode survives
+        const xs = points.map(p => p.getX()), ys = points.map(p => p.getY());
+        const x = Math.min(...xs), y = Math.min(...ys);
+        const w = Math.max(...xs) - x, h = Math.max(...ys) - y;
+        const len = Math.max(w, h);
+        const padX = (w >= h ? 0.1 : 0.7) * len + 5, padY = (w >= h ? 0.7 : 0.1) * len + 5;
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(x - padX, y - padY, w + padX * 2, h + padY * 2);
+      }
+      return codes;
+    },
+  },
+];
+
+// The barcode's text, followed by its EAN-5 add-on when ZXing read one
+function zxingText(result) {
+  const key = window.ZXing?.ResultMetadataType?.UPC_EAN_EXTENSION;
+  const addon = key === undefined ? '' : result.getResultMetadata()?.get(key) || '';
+  return /^\d{5}$/.test(addon) ? `${result.getText()} ${addon}` : result.getText();
+}
+
+// BarcodeDetector doesn't report EAN-5 add-ons, so when it reads a book's
+// barcode the same frame goes through ZXing (if it loaded) for the price
+// beside it. Returns the code, with the add-on appended when ZXing found one.
+let addonReader = null, addonCanvas = null;
+function withAddon(code, source) {
+  if (!/^97[89]\d{10}$/.test(code) || !window.ZXingBrowser) return code;
+  try {
+    let canvas = source;
+    if (source instanceof HTMLVideoElement) {
+      addonCanvas ||= document.createElement('canvas');
+      addonCanvas.width = source.videoWidth;
+      addonCanvas.height = source.videoHeight;
+      addonCanvas.getContext('2d', { willReadFrequently: true }).drawImage(source, 0, 0);
+      canvas = addonCanvas;
+    }
+    addonReader ||= new window.ZXingBrowser.BrowserMultiFormatReader(scannerHints());
+    const result = addonReader.decodeFromCanvas(canvas);
+    return result.getText() === code ? zxingText(result) : code;
+  } catch {
+    return code; // ZXing found nothing in the frame
+  }
+}
+
+let backendPromise = null;
+function scannerBackend() {
+  backendPromise ||= (async () => {
+    for (const b of scannerBackends) if (await b.available()) return b;
+    return null;
+  })();
+  return backendPromise;
+}
+
+// Open the remembered camera, or the rear one. Constraints are relaxed step
+// by step for cameras that can't meet them.
+async function openCamera() {
+  const ideal = {
+    width:  { ideal: 1280 },
+    height: { ideal: 720 },
+    // Request autofocus for better barcode scanning
+    focusMode: { ideal: 'continuous' },
+  };
+  const saved = localStorage.getItem(CAMERA_KEY);
+  if (saved) {
+    try {
+      return await navigator.mediaDevices.getUserMedia({ video: { ...ideal, deviceId: { exact: saved } } });
+    } catch (err) {
+      if (err.name !== 'OverconstrainedError' && err.name !== 'NotFoundError') throw err;
+      localStorage.removeItem(CAMERA_KEY); // that camera has gone
+    }
+  }
+  try {
+    return await navigator.mediaDevices.getUserMedia({ video: { ...ideal, facingMode: { ideal: 'environment' } } });
+  } catch (err) {
+    if (err.name !== 'OverconstrainedError') throw err;
+    return navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+  }
+}
+
+async function startScanner() {
+  if (scannerRunning) return;
+  const wrap = $('scanner-wrap');
+  const placeholder = $('scanner-placeholder');
+  const video = $('scanner-video');
+  const startBtn = $('scanner-start-btn');
+
+  try {
+    const backend = await scannerBackend();
+    if (!backend) { toast('Scanner library not loaded', 'error'); return; }
+
+    placeholder.classList.add('hidden');
+    wrap.classList.remove('hidden');
+    scannerRunning = true;
+    startBtn.innerHTML = `${svgCameraOff(16)} Stop`;
+    startBtn.classList.remove('btn-primary');
+    startBtn.classList.add('btn-danger');
+
+    scanStream = await openCamera();
+    if (!scannerRunning) { scanStream.getTracks().forEach(t => t.stop()); scanStream = null; return; }
+    video.srcObject = scanStream;
+    await video.play();
+    stopDecoding = await backend.start(video, onScanResult);
+
+    // Check for torch, zoom and focus support after video stream starts
+    await checkTorchSupport(video);
+    checkCameraControls(video);
+    renderCameraPicker();
+  } catch (err) {
+    console.error('Scanner error:', err);
+
+    // Provide specific error messages based on error type
+    let errorMsg = 'Camera access denied or unavailable';
+    if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
+      errorMsg = 'Camera permission denied. Please enable camera access in your browser settings.';
+    } else if (err.name === 'NotFoundError' || err.name === 'DevicesNotFoundError') {
+      errorMsg = 'No camera found. Please connect a camera and try again.';
+    } else if (err.name === 'NotReadableError' || err.name === 'TrackStartError') {
+      errorMsg = 'Camera is busy or in use by another application. Please close other camera apps.';
+    } else if (err.name === 'OverconstrainedError') {
+      errorMsg = 'Camera does not meet requirements.';
+    }
+
+    toast(errorMsg, 'error');
+    stopScanner();
+  }
+}
+
+// Offer a choice of camera once permission has been granted (labels are
+// blank before that). Hidden when there's only one.
+async function renderCameraPicker() {
+  const select = $('camera-select');
+  const cameras = (await navigator.mediaDevices.enumerateDevices().catch(() => []))
+    .filter(d => d.kind === 'videoinput');
+  const current = scanStream?.getVideoTracks()[0]?.getSettings().deviceId || '';
+  select.innerHTML = cameras.map((c, i) =>
+    `<option value="${esc(c.deviceId)}"${c.deviceId === current ? ' selected' : ''}>${esc(c.label || `Camera ${i + 1}`)}</option>`).join('');
+  select.classList.toggle('hidden', cameras.length < 2);
+}
+
+async function switchCamera(deviceId) {
+  localStorage.setItem(CAMERA_KEY, deviceId);
+  if (!scannerRunning) return;
+  stopScanner();
+  await startScanner();
+}
+
+function scanTrack() { return scanStream?.getVideoTracks()[0] || null; }
+
+// Zoom slider and tap-to-focus, for cameras whose track reports them
+function checkCameraControls(video) {
+  const track = scanTrack();
+  const caps = track?.getCapabilities ? track.getCapabilities() : {};
+  const zoom = $('zoom-range');
+  if (caps.zoom && caps.zoom.max > caps.zoom.min) {
+    zoom.min = caps.zoom.min;
+    zoom.max = caps.zoom.max;
+    zoom.step = caps.zoom.step || 0.1;
+    zoom.value = track.getSettings().zoom ?? caps.zoom.min;
+    zoom.classList.remove('hidden');
+  } else {
+    zoom.classList.add('hidden');
+  }
+  const canFocus = (caps.focusMode || []).some(m => m === 'single-shot' || m === 'manual');
+  video.classList.toggle('tap-focus', canFocus);
+  $('scan-hint').textContent = canFocus ? 'Align barcode within the frame · tap to focus' : 'Align barcode within the frame';
+}
+
+async function setZoom(value) {
+  try { await scanTrack()?.applyConstraints({ advanced: [{ zoom: +value }] }); }
+  catch (e) { console.error('Zoom failed:', e); }
+}
+
+// Focus once on the tapped point, then go back to continuous autofocus
+async function focusAt(e) {
+  const video = e.currentTarget;
+  const track = scanTrack();
+  if (!track || !video.classList.contains('tap-focus')) return;
+  const rect = video.getBoundingClientRect();
+  const x = (e.clientX - rect.left) / rect.width, y = (e.clientY - rect.top) / rect.height;
+  const ring = $('focus-ring');
+  ring.style.left = `${x * 100}%`;
+  ring.style.top = `${y * 100}%`;
+  ring.classList.remove('active');
+  void ring.offsetWidth; // restart the animation
+  ring.classList.add('active');
+  const caps = track.getCapabilities();
+  const focus = { focusMode: caps.focusMode.includes('single-shot') ? 'single-shot' : 'manual' };
+  if (navigator.mediaDevices.getSupportedConstraints().pointsOfInterest) focus.pointsOfInterest = [{ x, y }];
+  try {
+    await track.applyConstraints({ advanced: [focus] });
+    if (caps.focusMode.includes('continuous')) {
+      setTimeout(() => track.applyConstraints({ advanced: [{ focusMode: 'continuous' }] }).catch(() => {}), 3000);
+    }
+  } catch (err) {
+    console.error('Focus failed:', err);
+  }
+}
+
+async function checkTorchSupport(video) {
+  try {
+    const stream = video.srcObject;
+    if (!stream) return;
+
+    const track = stream.getVideoTracks()[0];
+    const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+
+    torchSupported = !!capabilities.torch;
+    const torchBtn = $('torch-btn');
+    if (torchBtn) {
+      torchBtn.classList.toggle('hidden', !torchSupported);
+    }
+  } catch (e) {
+    console.log('Torch check failed:', e);
+  }
+}
+
+async function toggleTorch() {
+  if (!torchSupported || !scannerRunning) return;
+
+  try {
+    const video = $('scanner-video');
+    const stream = video.srcObject;
+    if (!stream) return;
+
+    const track = stream.getVideoTracks()[0];
+    torchEnabled = !torchEnabled;
+
+    await track.applyConstraints({
+      advanced: [{ torch: torchEnabled }]
+    });
+
+    const torchBtn = $('torch-btn');
+    if (torchBtn) {
+      torchBtn.classList.toggle('active', torchEnabled);
+      torchBtn.innerHTML = torchEnabled ? svgFlashlight(20) : svgFlashlightOff(20);
+    }
+
+    toast(torchEnabled ? 'Flash on' : 'Flash off', 'ok');
+  } catch (e) {
+    toast('Flash control unavailable', 'error');
+    console.error('Torch toggle failed:', e);
+  }
+}
+
+function stopScanner() {
+  if (stopDecoding) { try { stopDecoding(); } catch {} stopDecoding = null; }
+  if (scanStream) { scanStream.getTracks().forEach(t => t.stop()); scanStream = null; }
+  const video = $('scanner-video');
+  if (video) video.srcObject = null;
+  scannerRunning = false;
+  torchEnabled = false;
+  torchSupported = false;
+  const startBtn = $('scanner-start-btn');
+  if (startBtn) {
+    startBtn.innerHTML = `${svgCamera(16)} Start Scanner`;
+    startBtn.classList.add('btn-primary');
+    startBtn.classList.remove('btn-danger');
+  }
+  const torchBtn = $('torch-btn');
+  if (torchBtn) {
+    torchBtn.classList.add('hidden');
+    torchBtn.classList.remove('active');
+  }
+  $('zoom-range')?.classList.add('hidden');
+  $('scanner-wrap')?.classList.add('hidden');
+  $('scanner-placeholder')?.classList.remove('hidden');
+}
+
+// ── Photo scanning ──
+
+const PHOTO_MAX_SIDE = 2000; // px; larger photos are scaled down before decoding
+const PHOTO_MAX_CODES = 40;
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`${file.name} is not an image this browser can open`)); };
+    img.src = url;
+  });
+}
+
+// Every barcode in an image file, via the same backend as the camera
+async function decodePhoto(file) {
+  const backend = await scannerBackend();
+  if (!backend) throw new Error('Scanner library not loaded');
+  const img = await loadImage(file);
+  const scale = Math.min(1, PHOTO_MAX_SIDE / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+  return backend.decodeImage(canvas);
+}
+
+// Decode a batch of photos, then add each book ISBN found as if it had been scanned
+async function scanPhotos(files) {
+  if (!activeProfile) { toast('Please set up a library first', 'warn'); return; }
+  files = [...files];
+  const isbns = [], prices = {};
+  let other = 0, unreadable = 0;
+  try {
+    for (const [i, file] of files.entries()) {
+      renderProgress(`Reading photo ${i + 1} of ${files.length}…`, i, files.length);
+      let codes;
+      try { codes = await decodePhoto(file); }
+      catch (err) { console.error('Photo decode failed:', err); unreadable++; continue; }
+      for (const code of codes) {
+        const { isbn, price } = parseScan(code);
+        if (!isbn) other++;
+        else if (!isbns.includes(isbn)) { isbns.push(isbn); prices[isbn] = price; }
+      }
+    }
+  } finally {
+    hideProgress();
+  }
+  const notes = [
+    other && `${other} other ${other === 1 ? 'barcode' : 'barcodes'} ignored`,
+    unreadable && `${unreadable} ${unreadable === 1 ? 'photo' : 'photos'} could not be opened`,
+  ].filter(Boolean).join('; ');
+  if (!isbns.length) { toast(`No book barcodes found${notes ? ` (${notes})` : ''}`, 'warn'); return; }
+  toast(`Found ${isbns.length} ${isbns.length === 1 ? 'ISBN' : 'ISBNs'}${notes ? ` (${notes})` : ''}`, 'ok');
+  if (loanMode) {
+    if (isbns.length === 1) handleLoanScan(isbns[0]);
+    else toast('Check books in or out one photo at a time', 'warn');
+    return;
+  }
+  if (rapidMode) { isbns.forEach(isbn => queueRapid(isbn, prices[isbn])); return; }
+  for (const isbn of isbns) {
+    // One at a time: handleISBN ignores codes that arrive while it's busy
+    while (processing) await new Promise(r => setTimeout(r, 100));
+    await handleISBN(isbn, { price: prices[isbn], askDetails: isbns.length === 1 });
   }
-  container.innerHTML = html;
-  footer.innerHTML = `${filtered.length} ${filtered.length===1?'book':'books'}${shelfQuery?` matching "${esc(shelfQuery)}"`:''} &middot; Click any book to search Amazon UK`;
 }
 
-function renderDropdown() {
-  const profiles = loadProfiles();
-  const list = $('lib-dropdown-list');
-  list.innerHTML = profiles.length === 0
-    ? `<div class="dropdown-label" style="padding:.75rem">No libraries yet.</div>`
-    : profiles.map(p => {
-        const isActive = p.id === activeProfile?.id;
-        const count = loadBooks(p.id).length;
-        const isConfirm = deleteConfirmId === p.id;
-        return `
-        <div class="dropdown-item${isActive?' active':''}" onclick="switchProfile('${p.id}')">
-          <span style="flex-shrink:0;width:14px">${isActive ? svgCheck(14) : ''}</span>
-          <span class="item-name">${esc(p.name)}</span>
-          <span class="item-count">${count}</span>
-          <span class="item-actions" onclick="event.stopPropagation()">
-            <button class="item-action-btn" onclick="openEditProfile('${p.id}')" aria-label="Edit ${esc(p.name)}">${svgPencil(12)}</button>
-            <button class="item-action-btn delete${isConfirm?' confirm':''}" onclick="confirmDelete('${p.id}')" title="${isConfirm?'Click again to confirm':''}" aria-label="Delete ${esc(p.name)}">${svgTrash(12)}</button>
-          </span>
-        </div>`;
-      }).join('');
+// ── ISBN Processing ───────────────────────────────────────────────────────────
+
+// `price` comes from the barcode's EAN-5 add-on, when it had one
+// `askDetails` opens the library's custom fields for the new book, if it has any
+async function handleISBN(isbn, { price = '', askDetails = true } = {}) {
+  if (processing) return;
+  if (!activeProfile) { toast('Please set up a library first', 'warn'); return; }
+  const isCopy = isScanned(isbn, activeProfile.id);
+  const elsewhere = librariesWith(isbn, activeProfile.id);
+  const alsoIn = elsewhere.length ? ` — also in ${elsewhere.map(p => `"${p.name}"`).join(', ')}` : '';
+  if (isCopy && !countsCopies(activeProfile)) { toast(`Already scanned: ${isbn}${alsoIn}`, 'warn'); return; }
+
+  processing = true;
+  // Flash
+  const flash = $('flash-overlay');
+  if (flash) { flash.classList.add('active'); setTimeout(() => flash.classList.remove('active'), 700); }
+
+  const statusEl = $('scan-status');
+  if (statusEl && !isCopy) { statusEl.textContent = `Looking up ISBN ${isbn}…`; statusEl.classList.remove('hidden'); }
+
+  try {
+    if (isCopy) {
+      let book = adjustQuantity(isbn, activeProfile.id, +1);
+      if (price && !book.price) updateBook(book = { ...book, price }, activeProfile.id);
+      books = loadBooks(activeProfile.id);
+      toast(`${book.title || isbn}: ${bookQty(book)} copies${alsoIn}`, alsoIn ? 'warn' : 'ok');
+      await pushToSheet(activeProfile, book);
+      renderBookList();
+      return;
+    }
+
+    let book, lookupFailed = false;
+    try { book = await lookupISBN(isbn, activeProfile.settings); }
+    catch { book = emptyBook(isbn); lookupFailed = true; }
+    if (countsCopies(activeProfile)) book.quantity = 1;
+    if (price) book.price = price;
+    book = touch(book);
+    dropFromOutbox(activeProfile.id, isbn); // a removal still waiting to reach the sheet
+    saveBook(book, activeProfile.id);
+    books = loadBooks(activeProfile.id);
+    if (askDetails && customFields(activeProfile).length && $('edit-modal').classList.contains('hidden')) {
+      openEditBook(isbn, { customOnly: true });
+    }
+
+    const s = activeProfile.settings;
+    if (lookupFailed) {
+      // Sync waits for the lookup so the sheet row gets full metadata
+      queueTasks(activeProfile.id, isbn, s?.scriptUrl ? ['lookup', 'sync'] : ['lookup']);
+      toast(`Offline — queued ${isbn}${alsoIn}`, 'warn');
+    } else {
+      toast(`${book.title ? `Found: ${book.title}` : `Scanned: ${isbn}`}${alsoIn}`, alsoIn ? 'warn' : 'ok');
+
+      await pushToSheet(activeProfile, book);
+    }
+
+    renderBookList();
+    renderShelf();
+    renderDropdown();
+    renderTabBar();
+  } catch (err) {
+    toast('Failed to look up ISBN', 'error');
+    console.error(err);
+  } finally {
+    processing = false;
+    if (statusEl) statusEl.classList.add('hidden');
+  }
 }
 
-function renderAll() {
-  renderHeader();
-  renderBanners();
-  renderTabBar();
-  renderViews();
+// Sync one book of the active library, queueing it for retry on failure
+async function pushToSheet(profile, book) {
+  const s = profile.settings;
+  if (!s?.scriptUrl) return;
+  // A row sent before its lookup completes would be blank; let the outbox send it afterwards
+  if (loadOutbox(profile.id).some(e => e.isbn === book.isbn && e.tasks.includes('lookup'))) {
+    queueTasks(profile.id, book.isbn, ['sync']);
+    return;
+  }
+  // Two sends of one book at once would carry the same base version, and the
+  // second would take the first's write for a change made in the sheet. So
+  // while the outbox or another push is busy with it, queue it behind them.
+  const key = `${profile.id} ${book.isbn}`;
+  if (flushingOutbox || sendingBooks.has(key) || loadOutbox(profile.id).some(e => e.isbn === book.isbn)) {
+    queueTasks(profile.id, book.isbn, ['sync']);
+    if (!flushingOutbox && !sendingBooks.has(key)) await flushOutbox();
+    return;
+  }
+  syncStatuses[book.isbn] = 'pending';
+  renderBookList();
+  sendingBooks.add(key);
+  let res;
+  try { res = await sendBook(profile, book); }
+  finally { sendingBooks.delete(key); }
+  syncStatuses[book.isbn] = syncState(res);
+  if (res.error) {
+    queueTasks(profile.id, book.isbn, ['sync']);
+    markAttempt(profile.id, book.isbn, res.error);
+  }
+  if (res.conflict) toast(`"${book.title || book.isbn}" was changed in the sheet — review the conflict`, 'warn');
+  if (profile.id === activeProfile?.id) books = loadBooks(profile.id);
+  // Changes queued while this was in flight
+  if (res.ok && loadOutbox(profile.id).some(e => e.isbn === book.isbn)) await flushOutbox();
+}
+
+async function removeFromSheet(profile, book) {
+  const s = profile.settings;
+  if (!s?.scriptUrl) return;
+  const res = await syncToSheet(s, 'delete', book, book.sheetVersion || '');
+  if (res.ok || isScanned(book.isbn, profile.id)) return; // or restored from the trash meanwhile
+  queueDelete(profile.id, book.isbn, book.sheetVersion || '');
+  if (res.conflict) {
+    setConflict(profile.id, book.isbn, res.conflict, 'Changed in the sheet after it was removed here');
+    toast(`"${book.title || book.isbn}" was changed in the sheet, so it was kept there`, 'warn');
+  } else {
+    markAttempt(profile.id, book.isbn, res.error);
+  }
   renderBookList();
-  renderShelf();
   renderDropdown();
 }
 
-// ── UI Actions ────────────────────────────────────────────────────────────────
+window.syncLibraryUI = async function(everything) {
+  const profile = activeProfile;
+  if (!profile?.settings?.scriptUrl) return;
+  if (flushingOutbox) { toast('A sync is already running', 'warn'); return; }
+  if (everything && !confirm(`Upload all ${books.length} books in "${profile.name}" to its sheet? Rows changed in the sheet are reported as conflicts rather than overwritten.`)) return;
+  closeDropdown();
+  flushingOutbox = true;
+  renderProgress(`Syncing "${profile.name}"…`, 0, 1);
+  try {
+    const sent = await syncLibrary(profile, everything, (done, total) =>
+      renderProgress(`Syncing "${profile.name}": ${done} of ${total}`, done, total));
+    const left = loadOutbox(profile.id).length;
+    toast(left ? `Sent ${sent}; ${left} still waiting` : `Sent ${sent} ${sent === 1 ? 'book' : 'books'}`, left ? 'warn' : 'ok');
+  } finally {
+    flushingOutbox = false;
+    hideProgress();
+  }
+  if (activeProfile?.id === profile.id) books = loadBooks(profile.id);
+  renderBookList();
+  renderDropdown();
+};
 
-window.toggleCard = function(el) {
-  const detail = el.closest('.book-card').querySelector('.book-card-detail');
-  const open = detail.classList.toggle('open');
-  el.setAttribute('aria-expanded', open);
+window.pullLibrary = async function(id) {
+  const profile = loadProfiles().find(p => p.id === id);
+  if (!profile?.settings?.scriptUrl) return;
+  if (!confirm(`Rebuild "${profile.name}" from its Google Sheet? Books removed from the sheet are removed here too; unsent changes are kept.`)) return;
+  closeDropdown();
+  toast('Reading sheet…', 'ok');
+  try {
+    const r = await pullFromSheet(profile);
+    if (activeProfile?.id === id) books = loadBooks(id);
+    renderAll();
+    showSyncReport(profile, r);
+  } catch (err) {
+    console.error(err);
+    toast(`Could not read the sheet: ${err.message}`, 'error');
+  }
 };
 
-window.removeBookUI = function(isbn) {
+function showSyncReport(profile, r) {
+  const rejected = r.rejected.map(x => `
+    <li class="report-item">
+      <div><strong>Row ${x.row}</strong> <span class="book-isbn">${esc(x.value)}</span></div>
+      <div class="text-muted">${esc(x.reason)}</div>
+    </li>`).join('');
+  openReport(`Pulled "${profile.name}"`, `
+    <p class="text-sm">${r.added} added · ${r.updated} updated · ${r.removed} removed${r.rejected.length ? ` · ${r.rejected.length} skipped` : ''}</p>
+    ${rejected ? `<h4 class="report-heading">Skipped rows</h4><ul class="report-list">${rejected}</ul>` : ''}
+    ${conflictListHTML(profile.id)}`);
+}
+
+function conflictListHTML(profileId) {
+  const conflicts = loadOutbox(profileId).filter(e => e.conflict);
+  if (!conflicts.length) return '';
+  const local = loadBooks(profileId);
+  const items = conflicts.map(e => {
+    const title = local.find(b => b.isbn === e.isbn)?.title || e.conflict.row?.title || '';
+    return `
+    <li class="report-item">
+      <div><strong>${esc(title || e.isbn)}</strong> <span class="book-isbn">${esc(e.isbn)}</span></div>
+      <div class="text-muted">${esc(e.conflict.reason)}</div>
+      <div class="report-actions">
+        <button class="btn btn-outline" onclick="resolveConflictUI('${profileId}','${escArg(e.isbn)}','local',this)">Keep this device's</button>
+        <button class="btn btn-outline" onclick="resolveConflictUI('${profileId}','${escArg(e.isbn)}','sheet',this)">Use the sheet's</button>
+      </div>
+    </li>`;
+  }).join('');
+  return `<h4 class="report-heading">${conflicts.length} ${conflicts.length === 1 ? 'conflict' : 'conflicts'}</h4><ul class="report-list">${items}</ul>`;
+}
+
+window.showConflicts = function() {
   if (!activeProfile) return;
-  removeBook(isbn, activeProfile.id);
+  openReport('Sync conflicts', conflictListHTML(activeProfile.id) || '<p class="text-muted">No conflicts.</p>');
+};
+
+window.resolveConflictUI = async function(profileId, isbn, keep, btn) {
+  btn.closest('.report-actions').innerHTML = `<span class="text-muted">${keep === 'sheet' ? 'Using the sheet\'s version' : 'Keeping this device\'s version'}</span>`;
+  await resolveConflict(profileId, isbn, keep);
+  if (activeProfile) books = loadBooks(activeProfile.id);
+  renderBookList();
+  renderShelf();
+  renderDropdown();
+};
+
+// `view` names a report that refreshes itself while open
+function openReport(title, html, view = '') {
+  $('report-modal').dataset.view = view;
+  $('report-modal-title').textContent = title;
+  $('report-modal-body').innerHTML = html;
+  $('report-modal').classList.remove('hidden');
+}
+
+// ── Rapid Scan ────────────────────────────────────────────────────────────────
+
+// Shelf-sweeping mode: each new ISBN goes straight into the review tray and is
+// looked up in the background, a few at a time, so scanning never waits.
+// Nothing reaches the library until it's accepted from the tray.
+const RAPID_KEY = 'isbn_rapid';
+const RAPID_RECENT = 5;      // codes remembered to suppress repeats while a barcode stays in view
+const RAPID_CONCURRENCY = 3; // lookups in flight at once
+let rapidMode = localStorage.getItem(RAPID_KEY) === '1';
+let recentCodes = [];
+const trayLookups = new Set(); // "profileId isbn" of lookups running now, across libraries
+
+// Returns true when the code was new and has been queued
+function queueRapid(isbn, price = '') {
+  if (!activeProfile || recentCodes.includes(isbn)) return false;
+  recentCodes = [isbn, ...recentCodes].slice(0, RAPID_RECENT);
+  const tray = loadTray(activeProfile.id);
+  if (tray.some(t => t.isbn === isbn)) return false;
+  saveTray(activeProfile.id, [...tray, { isbn, price, status: 'queued', book: null, scannedAt: new Date().toISOString() }]);
+  const flash = $('flash-overlay');
+  if (flash) { flash.classList.add('active'); setTimeout(() => flash.classList.remove('active'), 300); }
+  renderTray();
+  pumpTray(activeProfile);
+  return true;
+}
+
+function pumpTray(profile) {
+  loadTray(profile.id).filter(t => t.status === 'queued')
+    .slice(0, Math.max(0, RAPID_CONCURRENCY - trayLookups.size))
+    .forEach(t => trayLookup(profile, t.isbn));
+}
+
+async function trayLookup(profile, isbn) {
+  trayLookups.add(`${profile.id} ${isbn}`);
+  updateTrayItem(profile.id, isbn, { status: 'looking' });
+  let changes;
+  try {
+    const book = await lookupISBN(isbn, profile.settings);
+    changes = { status: book.title ? 'found' : 'notfound', book };
+  } catch {
+    changes = { status: 'offline' };
+  }
+  trayLookups.delete(`${profile.id} ${isbn}`);
+  updateTrayItem(profile.id, isbn, changes); // no-op if it was discarded meanwhile
+  if (activeProfile?.id === profile.id) renderTray();
+  pumpTray(profile);
+}
+
+// Lookups that were in flight when the app closed start again. Runs at
+// start-up and on switching library, so ones still running are left alone.
+function resumeTray(profile) {
+  saveTray(profile.id, loadTray(profile.id).map(t =>
+    t.status === 'looking' && !trayLookups.has(`${profile.id} ${t.isbn}`) ? { ...t, status: 'queued' } : t));
+  pumpTray(profile);
+}
+
+const trayPending = t => t.status === 'queued' || t.status === 'looking';
+const trayAcceptable = (profile, t) => !trayPending(t) && (countsCopies(profile) || !isScanned(t.isbn, profile.id));
+
+// Save a tray item to the library the way a normal scan would. The sheet gets
+// it through the outbox, so accepting many at once sends them in batches.
+function acceptFromTray(profile, isbn) {
+  const item = loadTray(profile.id).find(t => t.isbn === isbn);
+  if (!item || !trayAcceptable(profile, item)) return false;
+  const tasks = profile.settings?.scriptUrl ? ['sync'] : [];
+  if (isScanned(isbn, profile.id)) {
+    const book = adjustQuantity(isbn, profile.id, +1);
+    if (item.price && !book.price) updateBook({ ...book, price: item.price }, profile.id);
+  } else {
+    const book = { ...(item.book || emptyBook(isbn)), scannedAt: item.scannedAt };
+    if (item.price) book.price = item.price;
+    if (countsCopies(profile)) book.quantity = 1;
+    dropFromOutbox(profile.id, isbn);
+    saveBook(touch(book), profile.id);
+    if (item.status === 'offline') tasks.unshift('lookup');
+  }
+  if (tasks.length) queueTasks(profile.id, isbn, tasks);
+  dropFromTray(profile.id, isbn);
+  return true;
+}
+
+function renderTray() {
+  const tray = activeProfile ? loadTray(activeProfile.id) : [];
+  $('tray').classList.toggle('hidden', !tray.length);
+  $('tray-count-badge').textContent = tray.length;
+  $('tray-accept-all').disabled = !tray.some(t => trayAcceptable(activeProfile, t));
+  const label = {
+    queued: 'Waiting…',
+    looking: 'Looking up…',
+    found: '',
+    notfound: 'Not found — will be added without details',
+    offline: 'Offline — details fetched when back online',
+  };
+  $('tray-list').innerHTML = tray.slice().reverse().map(t => {
+    const dup = isScanned(t.isbn, activeProfile.id);
+    const elsewhere = dup ? [] : librariesWith(t.isbn, activeProfile.id);
+    const note = [
+      label[t.status],
+      dup ? (countsCopies(activeProfile) ? 'Already in the library — adds a copy' : 'Already in the library') : '',
+      elsewhere.length ? `Also in ${elsewhere.map(p => `"${p.name}"`).join(', ')}` : '',
+    ].filter(Boolean).join(' · ');
+    return `
+    <div class="tray-item${trayPending(t) ? ' pending' : ''}${dup ? ' duplicate' : ''}" role="listitem">
+      <div class="book-info">
+        <div class="book-title">${esc(t.book?.title || t.isbn)}</div>
+        ${t.book?.authors ? `<div class="book-author">${esc(t.book.authors)}</div>` : ''}
+        <div class="tray-note">${t.book?.title ? `<span class="book-isbn">${esc(t.isbn)}</span> ` : ''}${esc(note)}</div>
+      </div>
+      <div class="book-card-actions">
+        <button class="icon-btn" onclick="acceptTray('${escArg(t.isbn)}')" aria-label="Add to library" title="Add to library"${trayAcceptable(activeProfile, t) ? '' : ' disabled'}>${svgCheck(16)}</button>
+        <button class="icon-btn" onclick="discardTray('${escArg(t.isbn)}')" aria-label="Discard" title="Discard">${svgClose(16)}</button>
+      </div>
+    </div>`;
+  }).join('');
+}
+
+function afterTrayAccept(added) {
   books = loadBooks(activeProfile.id);
-  delete syncStatuses[isbn];
+  renderTray();
   renderBookList();
   renderShelf();
   renderDropdown();
   renderTabBar();
-  toast('Book removed', 'ok');
+  if (added) flushOutbox();
+}
+
+window.acceptTray = function(isbn) {
+  if (!activeProfile) return;
+  afterTrayAccept(acceptFromTray(activeProfile, isbn));
 };
 
-window.switchProfile = function(id) {
-  setActiveId(id);
-  activeProfile = getActiveProfile();
-  books = loadBooks(activeProfile?.id);
-  syncStatuses = {};
-  stopScanner();
-  closeDropdown();
-  renderAll();
+window.discardTray = function(isbn) {
+  if (!activeProfile) return;
+  dropFromTray(activeProfile.id, isbn);
+  recentCodes = recentCodes.filter(c => c !== isbn); // so it can be scanned again straight away
+  renderTray();
 };
 
-window.confirmDelete = function(id) {
-  if (deleteConfirmId === id) {
-    const p = loadProfiles().find(x => x.id === id);
-    deleteProfile(id);
-    activeProfile = getActiveProfile();
-    books = loadBooks(activeProfile?.id || '');
-    syncStatuses = {};
-    deleteConfirmId = null;
-    toast(`Deleted "${p?.name}"`, 'warn');
-    renderAll();
-  } else {
-    deleteConfirmId = id;
-    renderDropdown();
-    setTimeout(() => { deleteConfirmId = null; renderDropdown(); }, 3000);
-  }
+function acceptAllTray() {
+  if (!activeProfile) return;
+  const added = loadTray(activeProfile.id).filter(t => acceptFromTray(activeProfile, t.isbn)).length;
+  toast(`Added ${added} ${added === 1 ? 'book' : 'books'}`, 'ok');
+  afterTrayAccept(added);
+}
+
+function discardAllTray() {
+  if (!activeProfile) return;
+  // Lookups still running finish into nothing; updateTrayItem ignores missing items
+  const tray = loadTray(activeProfile.id);
+  if (!confirm(`Discard all ${tray.length} books in the review tray?`)) return;
+  saveTray(activeProfile.id, []);
+  recentCodes = [];
+  renderTray();
+}
+
+function setRapidMode(on) {
+  rapidMode = on;
+  localStorage.setItem(RAPID_KEY, on ? '1' : '0');
+  recentCodes = [];
+  $('rapid-toggle').checked = on;
+  if (on && loanMode) setLoanMode(false);
+}
+
+// ── Loans ─────────────────────────────────────────────────────────────────────
+
+// Check-in/out mode: scanning a book that's out checks it back in; scanning
+// any other book in the library opens the form to lend it.
+const LOAN_MODE_KEY = 'isbn_loan_mode';
+const LOAN_DAYS = 14; // default loan period
+let loanMode = localStorage.getItem(LOAN_MODE_KEY) === '1';
+
+const openLoan = (id, isbn) => loadLoans(id).find(l => l.isbn === isbn && !l.inAt);
+const isOverdue = loan => !loan.inAt && loan.dueDate < localDate();
+
+function checkOut(id, isbn, borrower, dueDate) {
+  const loan = { id: `l_${Date.now()}_${Math.random().toString(36).slice(2,6)}`, isbn, borrower, outAt: new Date().toISOString(), dueDate, inAt: '' };
+  saveLoan(loan, id);
+  return loan;
+}
+
+function checkIn(id, isbn) {
+  const loan = openLoan(id, isbn);
+  if (!loan) return null;
+  const returned = { ...loan, inAt: new Date().toISOString() };
+  saveLoan(returned, id);
+  return returned;
+}
+
+// Everyone lent to before, most recent first, for the borrower suggestions
+function recentBorrowers(id) { return [...new Set(loadLoans(id).map(l => l.borrower))]; }
+
+function handleLoanScan(isbn) {
+  if (!activeProfile) { toast('Please set up a library first', 'warn'); return; }
+  if (!$('loan-modal').classList.contains('hidden')) return; // still filling in the last one
+  const book = loadBooks(activeProfile.id).find(b => sameISBN(b.isbn, isbn));
+  if (!book) { toast(`${isbn} is not in "${activeProfile.name}"`, 'warn'); return; }
+  if (openLoan(activeProfile.id, book.isbn)) checkInUI(book.isbn);
+  else openCheckout(book.isbn);
+}
+
+window.openCheckout = function(isbn) {
+  const book = books.find(b => b.isbn === isbn);
+  if (!book || !activeProfile) return;
+  const due = new Date();
+  due.setDate(due.getDate() + LOAN_DAYS);
+  $('loan-modal-isbn').value = isbn;
+  $('loan-modal-title').textContent = `Lend "${book.title || isbn}"`;
+  $('loan-borrower').value = '';
+  $('loan-due').value = localDate(due);
+  $('loan-borrowers').innerHTML = recentBorrowers(activeProfile.id).map(name => `<option value="${esc(name)}">`).join('');
+  $('loan-modal').classList.remove('hidden');
+  $('loan-borrower').focus();
 };
 
-window.openEditProfile = function(id) {
-  const p = loadProfiles().find(x => x.id === id);
-  if (!p) return;
-  closeDropdown();
-  $('profile-modal-title').textContent = 'Edit Library';
-  $('profile-modal-id').value = id;
-  $('profile-name').value = p.name;
-  $('profile-sheet-name').value = p.settings.sheetName || '';
-  $('profile-script-url').value = p.settings.scriptUrl || '';
-  $('profile-spreadsheet-url').value = p.settings.spreadsheetUrl || '';
-  $('profile-modal').classList.remove('hidden');
+function saveCheckout() {
+  const isbn = $('loan-modal-isbn').value;
+  const borrower = $('loan-borrower').value.trim();
+  const dueDate = $('loan-due').value;
+  if (!activeProfile) return;
+  if (!borrower) { toast('Enter who is borrowing the book', 'warn'); return; }
+  if (!dueDate) { toast('Choose a due date', 'warn'); return; }
+  if (openLoan(activeProfile.id, isbn)) { toast('That book is already out', 'warn'); return; }
+  checkOut(activeProfile.id, isbn, borrower, dueDate);
+  $('loan-modal').classList.add('hidden');
+  const book = books.find(b => b.isbn === isbn);
+  toast(`Lent "${book?.title || isbn}" to ${borrower} until ${shortDate(dueDate)}`, 'ok');
+  renderBookList();
+}
+
+window.checkInUI = function(isbn) {
+  if (!activeProfile) return;
+  const loan = checkIn(activeProfile.id, isbn);
+  if (!loan) return;
+  const book = books.find(b => b.isbn === isbn);
+  const late = loan.dueDate < localDate(new Date(loan.inAt));
+  toast(`Checked in "${book?.title || isbn}" from ${loan.borrower}${late ? ' (overdue)' : ''}`, late ? 'warn' : 'ok');
+  renderBookList();
+  if (!$('report-modal').classList.contains('hidden') && $('report-modal').dataset.view === 'loans') showLoans();
 };
 
-window.showTooltip = function(e, el) {
-  if (!tooltip) return;
-  tooltip.querySelector('.tt-title').textContent  = el.dataset.title;
-  tooltip.querySelector('.tt-author').textContent = el.dataset.author;
-  tooltip.querySelector('.tt-year').textContent   = el.dataset.year;
-  tooltip.classList.add('visible');
-  positionTooltip(e);
+function renderLoanStatus() {
+  const out = activeProfile ? loadLoans(activeProfile.id).filter(l => !l.inAt) : [];
+  const overdue = out.filter(isOverdue).length;
+  const el = $('loan-status');
+  el.classList.toggle('hidden', !out.length);
+  el.classList.toggle('overdue', overdue > 0);
+  el.innerHTML = out.length
+    ? `${out.length} ${out.length === 1 ? 'book' : 'books'} on loan${overdue ? `, ${overdue} overdue` : ''}. <button class="link" onclick="showLoans()">View</button>`
+    : '';
+}
+
+// Everything out, overdue first, soonest due next
+window.showLoans = function() {
+  if (!activeProfile) return;
+  const out = loadLoans(activeProfile.id).filter(l => !l.inAt).sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  const item = loan => {
+    const book = books.find(b => b.isbn === loan.isbn);
+    return `
+    <li class="report-item">
+      <div><strong>${esc(book?.title || loan.isbn)}</strong> <span class="book-isbn">${esc(loan.isbn)}</span></div>
+      <div class="${isOverdue(loan) ? 'loan-overdue' : 'text-muted'}">${esc(loan.borrower)} · due ${esc(shortDate(loan.dueDate))}</div>
+      <div class="report-actions"><button class="btn btn-outline" onclick="checkInUI('${escArg(loan.isbn)}')">Check in</button></div>
+    </li>`;
+  };
+  const overdue = out.filter(isOverdue), current = out.filter(l => !isOverdue(l));
+  openReport('Books on loan', out.length ? `
+    ${overdue.length ? `<h4 class="report-heading">Overdue</h4><ul class="report-list">${overdue.map(item).join('')}</ul>` : ''}
+    ${current.length ? `<h4 class="report-heading">On loan</h4><ul class="report-list">${current.map(item).join('')}</ul>` : ''}`
+    : '<p class="text-muted">Nothing is on loan.</p>', 'loans');
 };
-window.hideTooltip = function() { tooltip?.classList.remove('visible'); };
 
-function positionTooltip(e) {
-  if (!tooltip) return;
-  const x = Math.min(e.clientX + 12, window.innerWidth - 200);
-  const y = Math.max(e.clientY - 80, 8);
-  tooltip.style.left = x + 'px';
-  tooltip.style.top  = y + 'px';
+// Who has had a book, newest first
+function loanHistoryHTML(loans) {
+  if (!loans.length) return '';
+  return `<ul class="loan-history">${loans.map(l => `
+    <li${isOverdue(l) ? ' class="loan-overdue"' : ''}>${esc(l.borrower)} · ${esc(shortDate(localDate(new Date(l.outAt))))} – ${l.inAt
+      ? esc(shortDate(localDate(new Date(l.inAt))))
+      : `due ${esc(shortDate(l.dueDate))}`}</li>`).join('')}</ul>`;
 }
 
-// ── Scanner ───────────────────────────────────────────────────────────────────
+function setLoanMode(on) {
+  loanMode = on;
+  localStorage.setItem(LOAN_MODE_KEY, on ? '1' : '0');
+  $('loan-toggle').checked = on;
+  if (on && rapidMode) setRapidMode(false);
+}
 
-let scanControls = null;
-let lastScanTime = 0;
-const SCAN_DEBOUNCE_MS = 500; // Prevent duplicate scans too quickly
-let torchSupported = false;
-let torchEnabled = false;
+// ── Reading Log ───────────────────────────────────────────────────────────────
+
+// Libraries with "Track my reading" on give each book a readingStatus, a
+// 1–5 rating and startedAt/finishedAt dates (YYYY-MM-DD). They stay on this
+// device; the sheet has no columns for them.
+const READING_STATUSES = { 'to-read': 'To read', reading: 'Reading', read: 'Read', abandoned: 'Abandoned' };
+const STATS_MONTHS = 12;
+const tracksReading = profile => !!profile?.settings?.reading;
+
+// A new status fills in the dates it implies, leaving ones already set
+function withReadingStatus(book, status) {
+  const next = { ...book, readingStatus: status };
+  if ((status === 'reading' || status === 'read') && !next.startedAt) next.startedAt = localDate();
+  if (status === 'read' && !next.finishedAt) next.finishedAt = localDate();
+  return next;
+}
+
+window.setReadingStatus = function(isbn, status) {
+  const book = activeProfile && loadBooks(activeProfile.id).find(b => b.isbn === isbn);
+  if (!book) return;
+  updateBook(withReadingStatus(book, status), activeProfile.id);
+  books = loadBooks(activeProfile.id);
+  renderBookList();
+  renderShelf();
+};
+
+// Choosing the current rating again clears it
+window.setRating = function(isbn, rating) {
+  const book = activeProfile && loadBooks(activeProfile.id).find(b => b.isbn === isbn);
+  if (!book) return;
+  updateBook({ ...book, rating: book.rating === rating ? '' : rating }, activeProfile.id);
+  books = loadBooks(activeProfile.id);
+  renderBookList();
+  renderShelf();
+};
+
+function readingHTML(book) {
+  const isbn = escArg(book.isbn);
+  return `
+        <div class="reading-row">
+          <select aria-label="Reading status" onchange="setReadingStatus('${isbn}',this.value)">
+            <option value="">No status</option>
+            ${Object.entries(READING_STATUSES).map(([k, label]) => `<option value="${k}"${book.readingStatus === k ? ' selected' : ''}>${label}</option>`).join('')}
+          </select>
+          <span class="rating" role="group" aria-label="Rating">${[1, 2, 3, 4, 5].map(n =>
+            `<button class="star${n <= (book.rating || 0) ? ' on' : ''}" onclick="setRating('${isbn}',${n})" aria-label="${n} of 5"${n === book.rating ? ' aria-pressed="true"' : ''}>★</button>`).join('')}</span>
+          ${book.startedAt || book.finishedAt ? `<span class="reading-dates">${[book.startedAt, book.finishedAt].filter(Boolean).map(shortDate).map(esc).join(' – ')}</span>` : ''}
+        </div>`;
+}
+
+// Books finished and pages read in each of the last `months` months, oldest first
+function readingStats(list, months = STATS_MONTHS) {
+  const now = new Date();
+  const buckets = Array.from({ length: months }, (_, i) => {
+    const d = new Date(now.getFullYear(), now.getMonth() - months + 1 + i, 1);
+    return { key: localDate(d).slice(0, 7), label: d.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }), books: 0, pages: 0 };
+  });
+  const year = String(now.getFullYear());
+  const totals = { books: 0, pages: 0, yearBooks: 0, yearPages: 0 };
+  for (const b of list) {
+    if (b.readingStatus !== 'read' || !b.finishedAt) continue;
+    const pages = +b.pageCount || 0;
+    totals.books++; totals.pages += pages;
+    if (b.finishedAt.startsWith(year)) { totals.yearBooks++; totals.yearPages += pages; }
+    const bucket = buckets.find(m => m.key === b.finishedAt.slice(0, 7));
+    if (bucket) { bucket.books++; bucket.pages += pages; }
+  }
+  return { months: buckets, ...totals };
+}
+
+function renderReadingStats() {
+  const el = $('reading-stats');
+  const show = tracksReading(activeProfile) && books.some(b => b.readingStatus);
+  el.classList.toggle('hidden', !show);
+  if (!show) return;
+  const st = readingStats(books);
+  const reading = books.filter(b => b.readingStatus === 'reading').length;
+  const most = Math.max(1, ...st.months.map(m => m.books));
+  el.innerHTML = `
+    <div class="reading-stats-totals">
+      <span><strong>${st.yearBooks}</strong> read this year</span>
+      <span><strong>${st.yearPages.toLocaleString()}</strong> pages this year</span>
+      <span><strong>${st.pages.toLocaleString()}</strong> pages in all</span>
+      ${reading ? `<span><strong>${reading}</strong> reading now</span>` : ''}
+    </div>
+    <div class="stats-bars" role="img" aria-label="Books read per month">
+      ${st.months.map(m => `
+      <div class="stats-bar" title="${esc(m.label)}: ${m.books} ${m.books === 1 ? 'book' : 'books'}, ${m.pages.toLocaleString()} pages">
+        <span class="stats-bar-count">${m.books || ''}</span>
+        <span class="stats-bar-fill" style="height:${Math.round(m.books / most * 100)}%"></span>
+        <span class="stats-bar-label">${esc(m.label.slice(0, 1))}</span>
+      </div>`).join('')}
+    </div>`;
+}
+
+// ── Library Stats ─────────────────────────────────────────────────────────────
+
+const STATS_TOP = 10;  // rows in the category and publisher charts
+const STATS_DAYS = 30; // days in the scans-per-day chart
 
-async function startScanner() {
-  if (scannerRunning) return;
-  const wrap = $('scanner-wrap');
-  const placeholder = $('scanner-placeholder');
-  const video = $('scanner-video');
-  const startBtn = $('scanner-start-btn');
+// Everything the stats tab shows, from the stored book fields
+function libraryStats(list, now = new Date()) {
+  const withPages = list.filter(b => +b.pageCount > 0);
+  const pages = withPages.reduce((n, b) => n + +b.pageCount, 0);
 
-  try {
-    const ZXing = window.ZXingBrowser;
-    if (!ZXing) { toast('Scanner library not loaded', 'error'); return; }
-
-    // Use hints to prioritise EAN-13 (ISBN barcodes) and expand supported formats
-    // BarcodeFormat and DecodeHintType come from @zxing/library (window.ZXing)
-    const ZXingLib = window.ZXing || {};
-    const BarcodeFormat  = ZXingLib.BarcodeFormat  || {};
-    const DecodeHintType = ZXingLib.DecodeHintType || {};
-    const hints = new Map();
-    const formats = [
-      BarcodeFormat.EAN_13,
-      BarcodeFormat.EAN_8,
-      BarcodeFormat.UPC_A,
-      BarcodeFormat.UPC_E,
-      BarcodeFormat.CODE_128,
-      BarcodeFormat.CODE_39,
-      BarcodeFormat.ITF,
-    ].filter(f => f !== undefined);
-    if (formats.length && DecodeHintType.POSSIBLE_FORMATS !== undefined) {
-      hints.set(DecodeHintType.POSSIBLE_FORMATS, formats);
-    }
-    if (DecodeHintType.TRY_HARDER !== undefined) {
-      hints.set(DecodeHintType.TRY_HARDER, true);
-    }
+  const decades = new Map();
+  for (const b of list) {
+    const year = parseInt((b.publishedDate || '').slice(0, 4), 10);
+    if (year > 0) decades.set(year - year % 10, (decades.get(year - year % 10) || 0) + 1);
+  }
+  const first = Math.min(...decades.keys()), last = Math.max(...decades.keys());
+  const byDecade = [];
+  for (let d = first; d <= last; d += 10) byDecade.push({ label: `${d}s`, value: decades.get(d) || 0 });
 
-    codeReader = new ZXing.BrowserMultiFormatReader(hints.size ? hints : undefined);
-
-    // Use flexible video constraints - prioritize rear camera but allow fallback
-    const constraints = {
-      video: {
-        facingMode: { ideal: 'environment' },
-        width:  { ideal: 1280 },
-        height: { ideal: 720 },
-        // Request autofocus for better barcode scanning
-        focusMode: { ideal: 'continuous' },
-        // Request torch capability (we'll check if supported)
-        advanced: [{ torch: true }]
-      }
-    };
+  const scans = new Map();
+  for (const b of list) {
+    const d = new Date(b.scannedAt);
+    if (isNaN(d)) continue; // a hand-edited sheet row can hold anything
+    scans.set(localDate(d), (scans.get(localDate(d)) || 0) + 1);
+  }
+  const perDay = Array.from({ length: STATS_DAYS }, (_, i) => {
+    const day = localDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() - (STATS_DAYS - 1 - i)));
+    return { label: shortDate(day).replace(/,? \d{4}$/, ''), value: scans.get(day) || 0 };
+  });
 
-    placeholder.classList.add('hidden');
-    wrap.classList.remove('hidden');
-    scannerRunning = true;
-    startBtn.innerHTML = `${svgCameraOff(16)} Stop`;
-    startBtn.classList.remove('btn-primary');
-    startBtn.classList.add('btn-danger');
+  const missing = METADATA_FIELDS.map(f => [f, list.filter(b => !b[f]).length]);
+  return {
+    books: list.length,
+    copies: list.reduce((n, b) => n + bookQty(b), 0),
+    pages,
+    avgPages: withPages.length ? Math.round(pages / withPages.length) : 0,
+    categories: facetCounts(list, 'categories', Infinity),
+    publishers: facetCounts(list, 'publisher', Infinity),
+    byDecade,
+    perDay,
+    recent: perDay.reduce((n, d) => n + d.value, 0),
+    missing,
+    incomplete: list.filter(b => missing.some(([f]) => !b[f])).length,
+  };
+}
 
-    // decodeFromConstraints returns a controls object with stop()
-    scanControls = await codeReader.decodeFromConstraints(constraints, video, (result, err) => {
-      if (!result) return;
-
-      // Apply debouncing to prevent rapid repeated scans
-      const now = Date.now();
-      if (now - lastScanTime < SCAN_DEBOUNCE_MS) return;
-      lastScanTime = now;
-
-      const text = result.getText();
-      // More lenient ISBN validation - accept 10/13 digits, strip common formatting
-      const cleanText = text.replace(/[\s\-]/g, '');
-      if (/^\d{9}[\dX]$|^\d{13}$/.test(cleanText)) {
-        // Haptic feedback on successful scan (mobile)
-        if (navigator.vibrate) {
-          navigator.vibrate(200);
-        }
-        handleISBN(cleanText);
-      }
-    });
+const percent = (n, total) => total ? Math.round(n / total * 100) : 0;
+const clip = (s, n) => s.length > n ? `${s.slice(0, n - 1)}…` : s;
 
-    // Check for torch support after video stream starts
-    await checkTorchSupport(video);
-  } catch (err) {
-    console.error('Scanner error:', err);
+// Horizontal bars, one per [label, value], scaled to the largest value
+function svgBars(rows, title, format = v => v) {
+  const W = 400, ROW = 22, LABEL = 130;
+  const most = Math.max(1, ...rows.map(r => r[1]));
+  return `<svg class="stats-chart" viewBox="0 0 ${W} ${rows.length * ROW}" width="100%" role="img" aria-label="${esc(title)}">${rows.map(([label, value], i) => {
+    const y = i * ROW, w = Math.max(1, value / most * (W - LABEL - 48));
+    return `
+    <text x="${LABEL - 8}" y="${y + 15}" text-anchor="end">${esc(clip(label, 20))}</text>
+    <rect class="stats-chart-bar" x="${LABEL}" y="${y + 4}" width="${w.toFixed(1)}" height="${ROW - 8}" rx="2"><title>${esc(label)}: ${esc(format(value))}</title></rect>
+    <text class="stats-chart-value" x="${(LABEL + w + 6).toFixed(1)}" y="${y + 15}">${esc(format(value))}</text>`;
+  }).join('')}</svg>`;
+}
 
-    // Provide specific error messages based on error type
-    let errorMsg = 'Camera access denied or unavailable';
-    if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
-      errorMsg = 'Camera permission denied. Please enable camera access in your browser settings.';
-    } else if (err.name === 'NotFoundError' || err.name === 'DevicesNotFoundError') {
-      errorMsg = 'No camera found. Please connect a camera and try again.';
-    } else if (err.name === 'NotReadableError' || err.name === 'TrackStartError') {
-      errorMsg = 'Camera is busy or in use by another application. Please close other camera apps.';
-    } else if (err.name === 'OverconstrainedError') {
-      errorMsg = 'Camera does not meet requirements. Trying again with relaxed constraints...';
-      // Retry with more relaxed constraints after a brief delay
-      setTimeout(async () => {
-        try {
-          const relaxedConstraints = { video: { facingMode: 'environment' } };
-          scanControls = await codeReader.decodeFromConstraints(relaxedConstraints, video, (result, err) => {
-            if (!result) return;
-            const now = Date.now();
-            if (now - lastScanTime < SCAN_DEBOUNCE_MS) return;
-            lastScanTime = now;
-            const text = result.getText();
-            const cleanText = text.replace(/[\s\-]/g, '');
-            if (/^\d{9}[\dX]$|^\d{13}$/.test(cleanText)) {
-              if (navigator.vibrate) navigator.vibrate(200);
-              handleISBN(cleanText);
-            }
-          });
-          await checkTorchSupport(video);
-          toast('Scanner started with basic settings', 'ok');
-        } catch (retryErr) {
-          console.error('Retry failed:', retryErr);
-          stopScanner();
-        }
-      }, 1500);
-      return;
-    }
+// Columns over a series of { label, value }; labels thin out to about a dozen
+function svgColumns(points, title) {
+  const W = 400, H = 130, AXIS = 18, TOP = 14;
+  const most = Math.max(1, ...points.map(p => p.value));
+  const step = W / points.length, every = Math.ceil(points.length / 12);
+  return `<svg class="stats-chart" viewBox="0 0 ${W} ${H}" width="100%" role="img" aria-label="${esc(title)}">
+    <line class="stats-chart-axis" x1="0" y1="${H - AXIS}" x2="${W}" y2="${H - AXIS}"/>${points.map((p, i) => {
+    const h = p.value / most * (H - AXIS - TOP), x = i * step;
+    return `
+    ${p.value ? `<rect class="stats-chart-bar" x="${(x + 1).toFixed(1)}" y="${(H - AXIS - h).toFixed(1)}" width="${Math.max(1, step - 2).toFixed(1)}" height="${h.toFixed(1)}" rx="1"><title>${esc(p.label)}: ${p.value}</title></rect>` : ''}
+    ${p.value && points.length <= 12 ? `<text class="stats-chart-value" x="${(x + step / 2).toFixed(1)}" y="${(H - AXIS - h - 3).toFixed(1)}" text-anchor="middle">${p.value}</text>` : ''}
+    ${i % every === 0 ? `<text x="${(x + step / 2).toFixed(1)}" y="${H - 4}" text-anchor="middle">${esc(p.label)}</text>` : ''}`;
+  }).join('')}</svg>`;
+}
 
-    toast(errorMsg, 'error');
-    stopScanner();
+function renderStats() {
+  if (activeView !== 'stats') return;
+  $('stats-heading-name').textContent = activeProfile?.name || 'Statistics';
+  const body = $('stats-body');
+  if (!books.length) {
+    body.innerHTML = `<div class="empty-state">${svgChart(48)}<p>No books scanned yet.</p></div>`;
+    return;
   }
+  const st = libraryStats(books);
+  const more = (list, noun) => list.length > STATS_TOP ? `<p class="hint">and ${list.length - STATS_TOP} more ${noun}</p>` : '';
+  const card = (title, html) => `<div class="stats-card"><h3 class="stats-card-title">${title}</h3>${html}</div>`;
+  body.innerHTML = `
+    <div class="stats-card stats-totals">
+      <span><strong>${st.books.toLocaleString()}</strong> ${st.books === 1 ? 'book' : 'books'}</span>
+      ${st.copies !== st.books ? `<span><strong>${st.copies.toLocaleString()}</strong> copies</span>` : ''}
+      <span><strong>${st.pages.toLocaleString()}</strong> pages in all</span>
+      <span><strong>${st.avgPages.toLocaleString()}</strong> pages on average</span>
+      <span><strong>${percent(st.books - st.incomplete, st.books)}%</strong> with full details</span>
+    </div>
+    ${card(`Scans per day <span class="badge">${st.recent} in ${STATS_DAYS} days</span>`, svgColumns(st.perDay, `Books scanned on each of the last ${STATS_DAYS} days`))}
+    ${st.categories.length ? card('Categories', svgBars(st.categories.slice(0, STATS_TOP), 'Books per category') + more(st.categories, 'categories')) : ''}
+    ${st.publishers.length ? card('Publishers', svgBars(st.publishers.slice(0, STATS_TOP), 'Books per publisher') + more(st.publishers, 'publishers')) : ''}
+    ${st.byDecade.length ? card('Published', svgColumns(st.byDecade, 'Books per decade of publication')) : ''}
+    ${card('Missing details', svgBars(st.missing.map(([f, n]) => [FIELD_LABELS[f][0].toUpperCase() + FIELD_LABELS[f].slice(1), percent(n, st.books)]), 'Share of books missing each detail', v => `${v}%`) +
+      (st.incomplete ? `<p class="hint">${st.incomplete} ${st.incomplete === 1 ? 'book lacks' : 'books lack'} at least one of these.</p>` : ''))}`;
 }
 
-async function checkTorchSupport(video) {
-  try {
-    const stream = video.srcObject;
-    if (!stream) return;
 
-    const track = stream.getVideoTracks()[0];
-    const capabilities = track.getCapabilities ? track.getCapabilities() : {};
+// ── Across Libraries ──────────────────────────────────────────────────────────
 
-    torchSupported = !!capabilities.torch;
-    const torchBtn = $('torch-btn');
-    if (torchBtn) {
-      torchBtn.classList.toggle('hidden', !torchSupported);
-    }
-  } catch (e) {
-    console.log('Torch check failed:', e);
+const SEARCH_LIMIT = 100; // results listed by the all-libraries search
+
+// Custom values follow a book into another library by field label, since
+// field ids are per library; values with no matching field are dropped
+function mapCustom(book, from, to) {
+  const byLabel = new Map(customFields(to).map(f => [f.label.toLowerCase(), f]));
+  const custom = {};
+  for (const f of customFields(from)) {
+    const target = byLabel.get(f.label.toLowerCase());
+    const value = target && customValue(target, customText(f, book.custom?.[f.id]));
+    if (value !== undefined && value !== '') custom[target.id] = value;
   }
+  return custom;
 }
 
-async function toggleTorch() {
-  if (!torchSupported || !scanControls) return;
+// Copy books into another library, merging by ISBN as an import does. A move
+// also takes them and their loan records out of the source library, queueing
+// removals from its sheet. Returns importBooks' report.
+// Books moving into a library that already has them only fill in missing
+// details through importBooks; where the target counts copies, the moving
+// copies are added to its count too, so no stock goes missing.
+function addMovedCopies(to, list) {
+  if (!countsCopies(to)) return;
+  for (const b of list) {
+    const book = adjustQuantity(b.isbn, to.id, bookQty(b));
+    if (book && to.settings?.scriptUrl) queueTasks(to.id, book.isbn, ['sync']);
+  }
+}
 
-  try {
-    const video = $('scanner-video');
-    const stream = video.srcObject;
-    if (!stream) return;
+function transferBooks(fromId, toId, isbns, { move = false } = {}) {
+  const profiles = loadProfiles();
+  const from = profiles.find(p => p.id === fromId), to = profiles.find(p => p.id === toId);
+  const picked = loadBooks(fromId).filter(b => isbns.includes(b.isbn));
+  const already = picked.filter(b => isScanned(b.isbn, toId));
+  const report = importBooks(toId, picked.map(b => ({ ...b, custom: mapCustom(b, from, to) })));
+  if (!move) return report;
+  addMovedCopies(to, already);
+  moveLoans(fromId, toId, picked.map(b => b.isbn));
+  for (const b of picked) {
+    removeBook(b.isbn, fromId);
+    if (from.settings?.scriptUrl && b.sheetVersion) queueDelete(fromId, b.isbn, b.sheetVersion);
+    else dropFromOutbox(fromId, b.isbn);
+  }
+  return report;
+}
 
-    const track = stream.getVideoTracks()[0];
-    torchEnabled = !torchEnabled;
+// Move every book, loan and trashed book of one library into another, then
+// delete it. Its Google Sheet is left as it is, so trashed books forget their
+// row there and restore as new rows in the target's sheet.
+function mergeLibrary(fromId, toId) {
+  const profiles = loadProfiles();
+  const from = profiles.find(p => p.id === fromId), to = profiles.find(p => p.id === toId);
+  const already = loadBooks(fromId).filter(b => isScanned(b.isbn, toId));
+  const report = importBooks(toId, loadBooks(fromId).map(b => ({ ...b, custom: mapCustom(b, from, to) })));
+  addMovedCopies(to, already);
+  moveLoans(fromId, toId);
+  moveTrash(fromId, toId, ({ sheetVersion, ...b }) => ({ ...b, custom: mapCustom(b, from, to) }));
+  deleteProfile(fromId);
+  return report;
+}
 
-    await track.applyConstraints({
-      advanced: [{ torch: torchEnabled }]
-    });
+// "3 books (1 already there)", from importBooks' report
+function transferCount(r) {
+  const n = r.added + r.duplicates.length;
+  return `${n} ${n === 1 ? 'book' : 'books'}${r.duplicates.length ? ` (${r.duplicates.length} already there)` : ''}`;
+}
 
-    const torchBtn = $('torch-btn');
-    if (torchBtn) {
-      torchBtn.classList.toggle('active', torchEnabled);
-      torchBtn.innerHTML = torchEnabled ? svgFlashlight(20) : svgFlashlightOff(20);
-    }
+window.openGlobalSearch = function() {
+  $('global-search-input').value = shelfQuery;
+  renderGlobalSearch();
+  $('search-modal').classList.remove('hidden');
+  $('global-search-input').focus();
+};
 
-    toast(torchEnabled ? 'Flash on' : 'Flash off', 'ok');
-  } catch (e) {
-    toast('Flash control unavailable', 'error');
-    console.error('Torch toggle failed:', e);
-  }
+function renderGlobalSearch() {
+  const text = $('global-search-input').value.trim();
+  const q = parseQuery(text);
+  const groups = text ? loadProfiles().map(p => ({ p, hits: loadBooks(p.id).filter(b => matchesQuery(b, q, p)) })).filter(g => g.hits.length) : [];
+  const total = groups.reduce((n, g) => n + g.hits.length, 0);
+  $('global-search-count').textContent = !text ? 'Searches every library, with the same syntax as the bookshelf.'
+    : total ? `${total} ${total === 1 ? 'match' : 'matches'} in ${groups.length} ${groups.length === 1 ? 'library' : 'libraries'}${total > SEARCH_LIMIT ? ` — showing the first ${SEARCH_LIMIT}` : ''}`
+    : 'No matches in any library.';
+  let left = SEARCH_LIMIT;
+  $('global-search-results').innerHTML = groups.map(({ p, hits }) => {
+    const shown = hits.slice(0, Math.max(0, left));
+    left -= shown.length;
+    return shown.length ? `
+    <h4 class="report-heading">${esc(p.name)} <span class="badge">${hits.length}</span></h4>
+    <ul class="report-list">${shown.map(b => `
+      <li class="report-item">
+        <div><strong>${esc(b.title || 'Unknown Title')}</strong> <span class="book-isbn">${esc(b.isbn)}</span></div>
+        ${b.authors ? `<div class="text-muted">${esc(b.authors)}</div>` : ''}
+        <div class="report-actions"><button class="btn btn-outline" onclick="openSearchResult('${p.id}','${escArg(b.isbn)}')">Show</button></div>
+      </li>`).join('')}</ul>` : '';
+  }).join('');
 }
 
-function stopScanner() {
-  if (scanControls) { try { scanControls.stop(); } catch {} scanControls = null; }
-  if (codeReader) { try { codeReader.reset(); } catch {} codeReader = null; }
-  scannerRunning = false;
-  torchEnabled = false;
-  torchSupported = false;
-  const startBtn = $('scanner-start-btn');
-  if (startBtn) {
-    startBtn.innerHTML = `${svgCamera(16)} Start Scanner`;
-    startBtn.classList.add('btn-primary');
-    startBtn.classList.remove('btn-danger');
-  }
-  const torchBtn = $('torch-btn');
-  if (torchBtn) {
-    torchBtn.classList.add('hidden');
-    torchBtn.classList.remove('active');
-  }
-  $('scanner-wrap')?.classList.add('hidden');
-  $('scanner-placeholder')?.classList.remove('hidden');
+// Switch to the book's library with the list narrowed to it
+window.openSearchResult = function(id, isbn) {
+  $('search-modal').classList.add('hidden');
+  if (id !== activeProfile?.id) switchProfile(id);
+  activeView = 'scan';
+  renderTabBar();
+  renderViews();
+  setShelfFilter({ query: `isbn:${isbn}`, status: '' });
+};
+
+function setSelectMode(on) {
+  selectMode = on;
+  selectedIsbns.clear();
+  renderBookList();
 }
 
-// ── ISBN Processing ───────────────────────────────────────────────────────────
+window.toggleSelected = function(isbn, on) {
+  if (on) selectedIsbns.add(isbn); else selectedIsbns.delete(isbn);
+  renderSelectionBar();
+};
 
-async function handleISBN(isbn) {
-  if (processing) return;
-  if (!activeProfile) { toast('Please set up a library first', 'warn'); return; }
-  if (isScanned(isbn, activeProfile.id)) { toast(`Already scanned: ${isbn}`, 'warn'); return; }
+function renderSelectionBar() {
+  const others = loadProfiles().filter(p => p.id !== activeProfile?.id);
+  const selectBtn = $('select-btn');
+  selectBtn.classList.toggle('hidden', !books.length || !others.length);
+  selectBtn.classList.toggle('active', selectMode);
+  selectBtn.setAttribute('aria-pressed', selectMode);
+  selectBtn.textContent = selectMode ? 'Done' : 'Select';
+  $('selection-bar').classList.toggle('hidden', !selectMode);
+  if (!selectMode) return;
+  $('selection-count').textContent = `${selectedIsbns.size} selected`;
+  const target = $('selection-target');
+  const chosen = target.value;
+  target.innerHTML = others.map(p => `<option value="${p.id}">${esc(p.name)}</option>`).join('');
+  if (others.some(p => p.id === chosen)) target.value = chosen;
+  $('selection-copy').disabled = $('selection-move').disabled = !selectedIsbns.size || !others.length;
+}
 
-  processing = true;
-  // Flash
-  const flash = $('flash-overlay');
-  if (flash) { flash.classList.add('active'); setTimeout(() => flash.classList.remove('active'), 700); }
+window.transferSelected = function(move) {
+  const to = loadProfiles().find(p => p.id === $('selection-target').value);
+  if (!activeProfile || !to || !selectedIsbns.size) return;
+  const r = transferBooks(activeProfile.id, to.id, [...selectedIsbns], { move });
+  books = loadBooks(activeProfile.id);
+  setSelectMode(false);
+  renderShelf();
+  renderDropdown();
+  renderTabBar();
+  toast(`${move ? 'Moved' : 'Copied'} ${transferCount(r)} to "${to.name}"`, 'ok');
+  flushOutbox();
+};
 
-  const statusEl = $('scan-status');
-  if (statusEl) { statusEl.textContent = `Looking up ISBN ${isbn}…`; statusEl.classList.remove('hidden'); }
+window.openMerge = function(id) {
+  const p = loadProfiles().find(x => x.id === id);
+  const others = loadProfiles().filter(x => x.id !== id);
+  if (!p) return;
+  closeDropdown();
+  if (!others.length) { toast('Add another library to merge into', 'warn'); return; }
+  const count = loadBooks(id).length;
+  $('merge-modal-id').value = id;
+  $('merge-modal-title').textContent = `Merge "${p.name}"`;
+  $('merge-target').innerHTML = others.map(x => `<option value="${x.id}">${esc(x.name)} (${loadBooks(x.id).length})</option>`).join('');
+  $('merge-summary').textContent = `All ${count} ${count === 1 ? 'book' : 'books'} and any loan records move to the library you choose, then "${p.name}" is deleted. Its Google Sheet is left as it is.`;
+  $('merge-modal').classList.remove('hidden');
+};
 
-  try {
-    const book = await lookupISBN(isbn);
-    saveBook(book, activeProfile.id);
-    books = loadBooks(activeProfile.id);
+function saveMerge() {
+  const from = loadProfiles().find(p => p.id === $('merge-modal-id').value);
+  const to = loadProfiles().find(p => p.id === $('merge-target').value);
+  if (!from || !to) return;
+  const r = mergeLibrary(from.id, to.id);
+  $('merge-modal').classList.add('hidden');
+  if (activeProfile?.id === from.id) setActiveId(to.id);
+  activeProfile = getActiveProfile();
+  books = loadBooks(activeProfile?.id || '');
+  syncStatuses = {};
+  renderAll();
+  toast(`Merged ${transferCount(r)} from "${from.name}" into "${to.name}"`, 'ok');
+  flushOutbox();
+}
 
-    toast(book.title ? `Found: ${book.title}` : `Scanned: ${isbn}`, 'ok');
+// ── Trash ─────────────────────────────────────────────────────────────────────
 
-    // Sync to sheet
-    const s = activeProfile.settings;
-    if (s?.scriptUrl) {
-      syncStatuses[isbn] = 'pending';
-      renderBookList();
-      const ok = await syncToSheet(s.scriptUrl, s.sheetName, book);
-      syncStatuses[isbn] = ok ? 'synced' : 'error';
-    }
+// Put trashed books back in a library, skipping any scanned again since. A
+// removal still waiting in the outbox is simply dropped; one that reached the
+// sheet means the row has to be added again. Returns how many came back.
+function restoreBooks(profile, list) {
+  const queued = new Set(loadOutbox(profile.id).filter(e => e.tasks.includes('delete')).map(e => e.isbn));
+  const back = list.filter(b => !isScanned(b.isbn, profile.id)).map(b => {
+    if (queued.has(b.isbn)) { dropFromOutbox(profile.id, b.isbn); return b; }
+    const { sheetVersion, ...rest } = b;
+    return rest;
+  });
+  if (!back.length) return 0;
+  saveBooks([...back, ...loadBooks(profile.id)].sort((a, b) => String(b.scannedAt).localeCompare(String(a.scannedAt))), profile.id);
+  if (profile.settings?.scriptUrl) back.filter(b => !b.sheetVersion).forEach(b => queueTasks(profile.id, b.isbn, ['sync']));
+  return back.length;
+}
 
-    renderBookList();
-    renderShelf();
-    renderDropdown();
-    renderTabBar();
-  } catch (err) {
-    toast('Failed to look up ISBN', 'error');
-    console.error(err);
-  } finally {
-    processing = false;
-    if (statusEl) statusEl.classList.add('hidden');
-  }
+// A deleted library comes back as it was; its sheet was never touched
+function restoreLibrary(entry) {
+  const id = entry.profile.id;
+  if (!loadProfiles().some(p => p.id === id)) saveProfiles([...loadProfiles(), entry.profile]);
+  saveBooks(entry.books, id);
+  entry.loans.forEach(l => saveLoan(l, id));
+  saveOutbox(id, entry.outbox);
+  saveTray(id, entry.tray);
 }
 
+window.restoreTrash = function(profileId, trashId) {
+  const entry = loadTrash(profileId).find(t => t.id === trashId);
+  if (!entry) return;
+  const profile = entry.kind === 'library' ? entry.profile : loadProfiles().find(p => p.id === profileId);
+  if (!profile) { toast('Restore its library first', 'warn'); return; }
+  removeFromTrash(profileId, trashId);
+  let count = entry.books.length;
+  if (entry.kind === 'library') restoreLibrary(entry);
+  else count = restoreBooks(profile, entry.books);
+  if (!activeProfile) setActiveId(profile.id);
+  activeProfile = getActiveProfile();
+  books = loadBooks(activeProfile?.id || '');
+  renderAll();
+  if (!$('report-modal').classList.contains('hidden') && $('report-modal').dataset.view === 'trash') showTrash();
+  toast(entry.kind === 'library' ? `Restored "${profile.name}"`
+    : count ? `Restored ${count} ${count === 1 ? 'book' : 'books'}` : 'Already back in the library', count ? 'ok' : 'warn');
+  flushOutbox();
+};
+
+// Everything deleted in the active library, then any deleted libraries
+window.showTrash = function() {
+  closeDropdown();
+  const libraries = [...mem.trash.values()].flat().filter(t => t.kind === 'library')
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  const here = activeProfile ? loadTrash(activeProfile.id).filter(t => t.kind !== 'library') : [];
+  const item = (profileId, t) => {
+    const what = t.kind === 'library' ? t.profile.name
+      : t.kind === 'clear' ? `${t.books.length} ${t.books.length === 1 ? 'book' : 'books'}, cleared together`
+      : t.books[0]?.title || t.books[0]?.isbn;
+    const detail = t.kind === 'library' ? `${t.books.length} ${t.books.length === 1 ? 'book' : 'books'}` : t.kind === 'book' ? t.books[0]?.isbn : '';
+    return `
+    <li class="report-item">
+      <div><strong>${esc(what)}</strong> <span class="book-isbn">${esc(detail || '')}</span></div>
+      <div class="text-muted">Deleted ${esc(new Date(t.deletedAt).toLocaleString())}</div>
+      <div class="report-actions"><button class="btn btn-outline" onclick="restoreTrash('${profileId}','${t.id}')">Restore</button></div>
+    </li>`;
+  };
+  openReport('Recently deleted', `
+    <p class="text-sm text-muted">Deleted books and libraries can be restored for ${TRASH_DAYS} days.</p>
+    ${here.length ? `<h4 class="report-heading">${esc(activeProfile.name)}</h4><ul class="report-list">${here.map(t => item(activeProfile.id, t)).join('')}</ul>` : ''}
+    ${libraries.length ? `<h4 class="report-heading">Libraries</h4><ul class="report-list">${libraries.map(t => item(t.profile.id, t)).join('')}</ul>` : ''}
+    ${here.length || libraries.length ? '' : '<p class="text-muted">Nothing has been deleted recently.</p>'}`, 'trash');
+};
+
 // ── Dropdown open/close ───────────────────────────────────────────────────────
 
 function openDropdown() {
@@ -695,9 +3782,100 @@ function openAddProfile() {
   $('profile-sheet-name').value = '';
   $('profile-script-url').value = '';
   $('profile-spreadsheet-url').value = '';
+  $('profile-duplicates').value = 'reject';
+  renderProviderList(providerOrder({}));
+  renderFieldList([]);
+  renderLinkList(bookLinks(null), spineLink(null)?.id);
+  $('profile-reading').checked = false;
   $('profile-modal').classList.remove('hidden');
 }
 
+// Provider order and on/off switches in the library modal
+function renderProviderList(order) {
+  $('profile-providers').innerHTML = order.map((p, i) => `
+    <li class="provider-item" data-id="${esc(p.id)}">
+      <label><input type="checkbox"${p.enabled ? ' checked' : ''}> ${esc(providers.get(p.id).name)}</label>
+      <button type="button" class="item-action-btn" onclick="moveProvider(${i},-1)" aria-label="Move up"${i === 0 ? ' disabled' : ''}>${svgChevronUp(12)}</button>
+      <button type="button" class="item-action-btn" onclick="moveProvider(${i},1)" aria-label="Move down"${i === order.length - 1 ? ' disabled' : ''}>${svgChevron(12)}</button>
+    </li>`).join('');
+}
+
+function readProviderList() {
+  return [...$('profile-providers').children].map(li => ({ id: li.dataset.id, enabled: li.querySelector('input').checked }));
+}
+
+// Custom field definitions in the library modal
+function renderFieldList(fields) {
+  $('profile-fields').innerHTML = fields.map(fieldItemHTML).join('');
+}
+
+function fieldItemHTML(f) {
+  return `
+    <li class="provider-item custom-field-item" data-id="${esc(f.id)}">
+      <input type="text" class="custom-field-label" value="${esc(f.label)}" placeholder="Field name" aria-label="Field name">
+      <select class="custom-field-type" aria-label="Field type" onchange="this.nextElementSibling.classList.toggle('hidden', this.value !== 'enum')">
+        ${Object.entries(FIELD_TYPES).map(([type, name]) => `<option value="${type}"${type === f.type ? ' selected' : ''}>${name}</option>`).join('')}
+      </select>
+      <input type="text" class="custom-field-options${f.type === 'enum' ? '' : ' hidden'}" value="${esc((f.options || []).join(', '))}" placeholder="Choices, separated by commas" aria-label="Choices">
+      <button type="button" class="item-action-btn" onclick="this.closest('li').remove()" aria-label="Remove field">${svgClose(12)}</button>
+    </li>`;
+}
+
+function readFieldList() {
+  return [...$('profile-fields').children].map(li => {
+    const type = li.querySelector('.custom-field-type').value;
+    const field = { id: li.dataset.id, label: li.querySelector('.custom-field-label').value.trim(), type };
+    if (type === 'enum') field.options = [...new Set(li.querySelector('.custom-field-options').value.split(',').map(o => o.trim()).filter(Boolean))];
+    return field;
+  }).filter(f => f.label);
+}
+
+function addCustomField() {
+  const id = `f_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+  $('profile-fields').insertAdjacentHTML('beforeend', fieldItemHTML({ id, label: '', type: 'text' }));
+  $('profile-fields').lastElementChild.querySelector('input').focus();
+}
+
+// Shop and catalogue links in the library modal; the radio picks the spine link
+function renderLinkList(links, spineId) {
+  $('profile-links').innerHTML = links.map(l => linkItemHTML(l, l.id === spineId)).join('');
+  $('profile-link-preset').innerHTML = `<option value="">Add a preset…</option>` +
+    LINK_PRESETS.map(l => `<option value="${l.id}">${esc(l.name)}</option>`).join('');
+}
+
+function linkItemHTML(l, spine) {
+  return `
+    <li class="provider-item custom-field-item link-item" data-id="${esc(l.id)}">
+      <input type="radio" name="profile-spine-link" class="link-spine"${spine ? ' checked' : ''} aria-label="Open from the bookshelf" title="Open from the bookshelf">
+      <input type="text" class="link-name" value="${esc(l.name)}" placeholder="Name" aria-label="Link name">
+      <button type="button" class="item-action-btn" onclick="this.closest('li').remove()" aria-label="Remove link">${svgClose(12)}</button>
+      <input type="url" class="link-url custom-field-options" value="${esc(l.url)}" placeholder="https://…/search?q={isbn}" aria-label="Link address">
+    </li>`;
+}
+
+function readLinkList() {
+  const items = [...$('profile-links').children].map(li => ({
+    id: li.dataset.id,
+    name: li.querySelector('.link-name').value.trim(),
+    url: li.querySelector('.link-url').value.trim(),
+    spine: li.querySelector('.link-spine').checked,
+  })).filter(l => l.name || l.url);
+  return { links: items.map(({ spine, ...l }) => l), spineLink: items.find(l => l.spine)?.id || '' };
+}
+
+function addLink(preset) {
+  const id = `l_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 5)}`;
+  const first = !$('profile-links').children.length;
+  $('profile-links').insertAdjacentHTML('beforeend', linkItemHTML({ id, name: preset?.name || '', url: preset?.url || '' }, first));
+  if (!preset) $('profile-links').lastElementChild.querySelector('.link-name').focus();
+}
+
+window.moveProvider = function(i, dir) {
+  const order = readProviderList();
+  [order[i], order[i + dir]] = [order[i + dir], order[i]];
+  renderProviderList(order);
+};
+
 function saveProfileModal() {
   const id   = $('profile-modal-id').value;
   const name = $('profile-name').value.trim();
@@ -705,8 +3883,20 @@ function saveProfileModal() {
     sheetName:      $('profile-sheet-name').value.trim(),
     scriptUrl:      $('profile-script-url').value.trim(),
     spreadsheetUrl: $('profile-spreadsheet-url').value.trim(),
+    duplicates:     $('profile-duplicates').value,
+    providers:      readProviderList(),
+    fields:         readFieldList(),
+    reading:        $('profile-reading').checked,
+    ...readLinkList(),
   };
   if (!name) { toast('Please enter a library name', 'warn'); return; }
+  const badLink = settings.links.find(l => !l.name || !webURL(l.url));
+  if (badLink) { toast(badLink.name ? `"${badLink.name}" needs a web address starting with https://` : 'Give each link a name', 'warn'); return; }
+  const labels = settings.fields.map(f => f.label.toLowerCase());
+  const repeated = settings.fields.find((f, i) => labels.indexOf(f.label.toLowerCase()) !== i);
+  if (repeated) { toast(`There are two fields called "${repeated.label}"`, 'warn'); return; }
+  const noChoices = settings.fields.find(f => f.type === 'enum' && !f.options.length);
+  if (noChoices) { toast(`Give "${noChoices.label}" some choices`, 'warn'); return; }
   if (id) {
     updateProfile(id, name, settings);
     if (activeProfile?.id === id) {
@@ -752,11 +3942,29 @@ function saveSetupConnection() {
   renderAll();
 }
 
+async function testSetupConnection() {
+  const scriptUrl = $('setup-script-url').value.trim();
+  const sheetName = $('setup-sheet-name').value.trim() || 'Books';
+  const result = $('setup-test-result');
+  if (!scriptUrl) { toast('Please enter the Apps Script URL', 'warn'); return; }
+  result.className = 'test-result';
+  result.textContent = 'Testing…';
+  try {
+    await testSheetConnection({ scriptUrl, sheetName });
+    result.classList.add('ok');
+    result.textContent = `Connected. Books will be written to the "${sheetName}" tab.`;
+  } catch (err) {
+    result.classList.add('error');
+    result.textContent = err.message;
+  }
+}
+
 function openSetupModal() {
   const s = activeProfile?.settings;
   $('setup-script-url').value      = s?.scriptUrl || '';
   $('setup-sheet-name').value      = s?.sheetName || '';
   $('setup-spreadsheet-url').value = s?.spreadsheetUrl || '';
+  $('setup-test-result').className = 'test-result hidden';
   switchSetupTab('guide');
   $('setup-modal').classList.remove('hidden');
 }
@@ -767,6 +3975,130 @@ window.copyCode = function() {
   navigator.clipboard.writeText(code).then(() => toast('Code copied!', 'ok')).catch(() => toast('Copy failed', 'error'));
 };
 
+window.openTransfer = function(id) {
+  const p = loadProfiles().find(x => x.id === id);
+  if (!p) return;
+  closeDropdown();
+  $('transfer-modal-title').textContent = `Export & import · ${p.name}`;
+  $('transfer-modal-id').value = id;
+  $('import-target').value = 'merge';
+  $('import-file').value = '';
+  $('transfer-modal').classList.remove('hidden');
+};
+
+function exportUI() {
+  const p = loadProfiles().find(x => x.id === $('transfer-modal-id').value);
+  if (!p) return;
+  const file = exportLibrary(p, $('export-format').value);
+  const url = URL.createObjectURL(new Blob([file.content], { type: file.type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = file.name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  toast(`Exported ${file.name}`, 'ok');
+}
+
+async function importUI() {
+  let p = loadProfiles().find(x => x.id === $('transfer-modal-id').value);
+  const file = $('import-file').files[0];
+  if (!p) return;
+  if (!file) { toast('Choose a file to import', 'warn'); return; }
+  let parsed;
+  try {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const format = detectFormat(file.name, new TextDecoder().decode(bytes.subarray(0, 64)));
+    parsed = format.read(format.binary ? bytes : new TextDecoder().decode(bytes));
+  } catch (err) {
+    toast(`Could not read ${file.name}: ${err.message}`, 'error');
+    return;
+  }
+  const intoNew = $('import-target').value === 'new';
+  if (intoNew) p = createProfile(parsed.profile?.name || file.name.replace(/\.[^.]+$/, ''), importedSettings(parsed.profile?.settings));
+  // Only a backup restored as its own library still matches the sheet it came from
+  const r = importBooks(p.id, parsed.rows, { keepSyncState: intoNew && !!parsed.profile });
+  r.rejectedLoans = importLoans(p.id, parsed.loans || []);
+  $('transfer-modal').classList.add('hidden');
+  activeProfile = getActiveProfile();
+  books = loadBooks(activeProfile.id);
+  if (intoNew) syncStatuses = {};
+  renderAll();
+  showImportReport(p, r);
+  flushOutbox();
+}
+
+function showImportReport(profile, r) {
+  const item = (title, detail, note) => `
+    <li class="report-item">
+      <div><strong>${esc(title)}</strong> <span class="book-isbn">${esc(detail)}</span></div>
+      <div class="text-muted">${esc(note)}</div>
+    </li>`;
+  openReport(`Imported into "${profile.name}"`, `
+    <p class="text-sm">${r.added} added · ${r.duplicates.length} duplicates · ${r.rejected.length} rejected</p>
+    ${r.duplicates.length ? `<h4 class="report-heading">Duplicates</h4><ul class="report-list">${r.duplicates.map(d => item(d.title || d.isbn, d.isbn, d.reason)).join('')}</ul>` : ''}
+    ${r.rejected.length ? `<h4 class="report-heading">Rejected rows</h4><ul class="report-list">${r.rejected.map(x => item(`Row ${x.row}`, x.value, x.reason)).join('')}</ul>` : ''}
+    ${r.rejectedLoans.length ? `<h4 class="report-heading">Rejected loans</h4><ul class="report-list">${r.rejectedLoans.map(x => item(`Loan ${x.row}`, x.value, x.reason)).join('')}</ul>` : ''}`);
+}
+
+window.openBulkAdd = function() {
+  if (!activeProfile) { toast('Please set up a library first', 'warn'); return; }
+  if (bulkRun) { toast('A bulk add is already running', 'warn'); return; }
+  $('bulk-text').value = '';
+  $('bulk-file').value = '';
+  renderBulkCount();
+  $('bulk-modal').classList.remove('hidden');
+  $('bulk-text').focus();
+};
+
+function renderBulkCount() {
+  const { isbns, invalid } = extractISBNs($('bulk-text').value);
+  const fresh = isbns.filter(i => !isScanned(i, activeProfile.id)).length;
+  $('bulk-count').textContent = isbns.length
+    ? `${isbns.length} ${isbns.length === 1 ? 'ISBN' : 'ISBNs'} found, ${fresh} new${invalid.length ? ` · ${invalid.length} with a wrong check digit` : ''}`
+    : 'No ISBNs found yet.';
+  $('bulk-start-btn').disabled = !fresh;
+}
+
+async function bulkAddUI() {
+  const profile = activeProfile;
+  const { isbns, repeated, invalid } = extractISBNs($('bulk-text').value);
+  if (!profile || !isbns.length) return;
+  $('bulk-modal').classList.add('hidden');
+  const run = bulkRun = { stopped: false };
+  $('sync-progress-stop').classList.remove('hidden');
+  let r;
+  try {
+    r = await bulkAdd(profile, isbns, (done, total) => {
+      renderProgress(`Adding to "${profile.name}": ${done} of ${total}`, done, total);
+      if (done && activeProfile?.id === profile.id) { books = loadBooks(profile.id); renderBookList(); renderTabBar(); }
+    }, () => run.stopped);
+  } finally {
+    bulkRun = null;
+    $('sync-progress-stop').classList.add('hidden');
+    hideProgress();
+  }
+  if (activeProfile?.id === profile.id) books = loadBooks(profile.id);
+  renderAll();
+  const line = (list, note) => list.map(b => `
+    <li class="report-item">
+      <div>${b.title ? `<strong>${esc(b.title)}</strong> ` : ''}<span class="book-isbn">${esc(b.isbn)}</span></div>
+      ${note ? `<div class="text-muted">${note}</div>` : ''}
+    </li>`).join('');
+  const section = (title, items) => items ? `<h4 class="report-heading">${title}</h4><ul class="report-list">${items}</ul>` : '';
+  const skipped = isbns.length - r.found.length - r.notFound.length - r.queued.length - r.duplicates.length;
+  openReport(`Bulk add to "${profile.name}"`, `
+    <p class="text-sm">${r.found.length} found · ${r.notFound.length} not found · ${r.duplicates.length + repeated.length} duplicates${r.queued.length ? ` · ${r.queued.length} queued` : ''}</p>
+    ${skipped ? `<p class="text-sm text-muted">Stopped with ${skipped} not yet added.</p>` : ''}
+    ${section('Not found', line(r.notFound, 'Added without details'))}
+    ${section('Queued', line(r.queued, 'Lookup services unreachable; details will be fetched when back online'))}
+    ${section('Duplicates', line([...r.duplicates.map(isbn => ({ isbn })), ...repeated.map(isbn => ({ isbn }))], ''))}
+    ${section('Wrong check digit', invalid.map(raw => `<li class="report-item"><span class="book-isbn">${esc(raw)}</span></li>`).join(''))}
+    ${section('Found', line(r.found, ''))}`);
+  flushOutbox();
+}
+
 // ── SVG icons (inline, no external deps) ─────────────────────────────────────
 
 function svgBook(s)      { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 19.5A2.5 2.5 0 0 1 6.5 17H20"/><path d="M6.5 2H20v20H6.5A2.5 2.5 0 0 1 4 19.5v-15A2.5 2.5 0 0 1 6.5 2z"/></svg>`; }
@@ -778,26 +4110,72 @@ function svgSettings(s)  { return `<svg width="${s}" height="${s}" viewBox="0 0
 function svgExternal(s)  { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/><polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/></svg>`; }
 function svgScan(s)      { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="4 7 4 4 7 4"/><polyline points="17 4 20 4 20 7"/><polyline points="20 17 20 20 17 20"/><polyline points="7 20 4 20 4 17"/><line x1="4" y1="12" x2="20" y2="12"/></svg>`; }
 function svgLibrary(s)   { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M2 3h6a4 4 0 0 1 4 4v14a3 3 0 0 0-3-3H2z"/><path d="M22 3h-6a4 4 0 0 0-4 4v14a3 3 0 0 1 3-3h7z"/></svg>`; }
+function svgChart(s)     { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="20" x2="18" y2="10"/><line x1="12" y1="20" x2="12" y2="4"/><line x1="6" y1="20" x2="6" y2="14"/></svg>`; }
 function svgChevron(s)   { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"/></svg>`; }
+function svgChevronUp(s) { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="18 15 12 9 6 15"/></svg>`; }
 function svgCheck(s)     { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg>`; }
 function svgPlus(s)      { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><line x1="12" y1="5" x2="12" y2="19"/><line x1="5" y1="12" x2="19" y2="12"/></svg>`; }
+function svgMinus(s)     { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><line x1="5" y1="12" x2="19" y2="12"/></svg>`; }
 function svgPencil(s)    { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg>`; }
 function svgClose(s)     { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>`; }
 function svgAlert(s)     { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><line x1="12" y1="8" x2="12" y2="12"/><line x1="12" y1="16" x2="12.01" y2="16"/></svg>`; }
 function svgOk(s)        { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/><polyline points="22 4 12 14.01 9 11.01"/></svg>`; }
 function svgCart(s)      { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="9" cy="21" r="1"/><circle cx="20" cy="21" r="1"/><path d="M1 1h4l2.68 13.39a2 2 0 0 0 2 1.61h9.72a2 2 0 0 0 2-1.61L23 6H6"/></svg>`; }
+function svgDownload(s)  { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>`; }
+function svgUpload(s)    { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="17 8 12 3 7 8"/><line x1="12" y1="3" x2="12" y2="15"/></svg>`; }
+function svgRefresh(s)   { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="23 4 23 10 17 10"/><polyline points="1 20 1 14 7 14"/><path d="M3.51 9a9 9 0 0 1 14.85-3.36L23 10M1 14l4.64 4.36A9 9 0 0 0 20.49 15"/></svg>`; }
 function svgCopy(s)      { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>`; }
+function svgMerge(s)     { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="18" r="3"/><circle cx="6" cy="6" r="3"/><path d="M6 21V9a9 9 0 0 0 9 9"/></svg>`; }
+function svgImage(s)     { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="3" width="18" height="18" rx="2" ry="2"/><circle cx="8.5" cy="8.5" r="1.5"/><polyline points="21 15 16 10 5 21"/></svg>`; }
 function svgFlashlight(s)   { return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6c0 2-2 2-2 4v10a2 2 0 0 1-2 2h-4a2 2 0 0 1-2-2V10c0-2-2-2-2-4V2h12z"/><line x1="6" y1="6" x2="18" y2="6"/><line x1="12" y1="12" x2="12" y2="12.01"/></svg>`; }
 function svgFlashlightOff(s){ return `<svg width="${s}" height="${s}" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M16 16v4a2 2 0 0 1-2 2h-4a2 2 0 0 1-2-2V10c0-2-2-2-2-4"/><path d="M7 2h11v4c0 2-2 2-2 4v1"/><line x1="11" y1="6" x2="18" y2="6"/><line x1="2" y1="2" x2="22" y2="22"/></svg>`; }
 
 function esc(s) {
-  return String(s || '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+  return String(s || '').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+}
+
+// A string argument in an inline handler, onclick="f('${escArg(value)}')".
+// The browser decodes the attribute before running it, so the quote and
+// backslash need escaping for JavaScript as well as for HTML.
+function escArg(s) { return esc(String(s ?? '').replace(/['\\]/g, '\\$&')); }
+
+// ── Service Worker ────────────────────────────────────────────────────────────
+
+const SW_UPDATE_MS = 60 * 60 * 1000; // how often a long-open tab checks for a new version
+let updateAccepted = false;
+
+// A new sw.js precaches the next release and then waits. Once it has
+// installed we offer a reload; accepting tells it to take over, and the page
+// reloads when it has (not on the first install, which also takes control).
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => { if (updateAccepted) location.reload(); });
+  navigator.serviceWorker.register('./sw.js').then(reg => {
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+      });
+    });
+    setInterval(() => reg.update().catch(() => {}), SW_UPDATE_MS);
+  }).catch(() => {});
+}
+
+function showUpdateBanner(worker) {
+  $('banner-update').classList.remove('hidden');
+  $('update-reload-btn').onclick = () => {
+    updateAccepted = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
 }
 
 // ── Init ──────────────────────────────────────────────────────────────────────
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  await initStorage();
   migrateLegacy();
+  purgeTrash();
   activeProfile = getActiveProfile();
   books = loadBooks(activeProfile?.id || '');
 
@@ -807,30 +4185,48 @@ document.addEventListener('DOMContentLoaded', () => {
   $('icon-chevron').innerHTML    = svgChevron(14);
   $('icon-scan-tab').innerHTML   = svgScan(20);
   $('icon-shelf-tab').innerHTML  = svgLibrary(20);
+  $('icon-stats-tab').innerHTML  = svgChart(20);
   $('icon-search').innerHTML     = svgSearch(14);
   $('icon-look-up').innerHTML    = svgSearch(14);
   $('icon-close-setup').innerHTML = svgClose(18);
   $('icon-close-profile').innerHTML = svgClose(18);
+  $('icon-close-report').innerHTML = svgClose(18);
+  $('icon-close-transfer').innerHTML = svgClose(18);
+  $('icon-close-bulk').innerHTML = svgClose(18);
+  $('icon-close-edit').innerHTML = svgClose(18);
+  $('icon-close-loan').innerHTML = svgClose(18);
+  $('icon-close-search').innerHTML = svgClose(18);
+  $('icon-close-merge').innerHTML = svgClose(18);
+  $('icon-global-search').innerHTML = svgSearch(18);
+  $('icon-export').innerHTML     = svgDownload(14);
   $('icon-add-lib').innerHTML    = svgPlus(14);
   $('banner-warn-icon').innerHTML  = svgAlert(16);
   $('banner-warn2-icon').innerHTML = svgAlert(16);
   $('banner-ok-icon').innerHTML    = svgOk(16);
+  $('banner-update-icon').innerHTML = svgRefresh(16);
+  $('banner-storage-icon').innerHTML = svgAlert(16);
   $('empty-icon').innerHTML      = svgBook(48);
   $('icon-copy-code').innerHTML  = svgCopy(14);
   $('icon-external').innerHTML   = svgExternal(14);
   $('scanner-placeholder-icon').innerHTML = svgCamera(40);
   $('icon-torch').innerHTML      = svgFlashlightOff(20);
+  $('icon-photo').innerHTML      = svgImage(16);
 
   // Create tooltip element
   tooltip = document.createElement('div');
   tooltip.className = 'spine-tooltip';
-  tooltip.innerHTML = `<div class="tt-title"></div><div class="tt-author"></div><div class="tt-year"></div><div class="tt-amz">${svgCart(10)} Search Amazon UK</div>`;
+  tooltip.innerHTML = `<div class="tt-title"></div><div class="tt-author"></div><div class="tt-year"></div><div class="tt-link">${svgCart(10)} <span class="tt-link-name"></span></div>`;
   document.body.appendChild(tooltip);
   document.addEventListener('mousemove', e => { if (tooltip.classList.contains('visible')) positionTooltip(e); });
 
   // Open setup if no profiles
   if (!activeProfile) openSetupModal();
 
+  // Shelf filter and sort, from the URL hash
+  $('shelf-sort').innerHTML = Object.entries(SHELF_SORTS).map(([k, s]) => `<option value="${k}">${s.label}</option>`).join('');
+  readHashState();
+  syncFilterInputs();
+
   renderAll();
 
   // ── Event listeners ──
@@ -854,54 +4250,170 @@ document.addEventListener('DOMContentLoaded', () => {
     if (scannerRunning) stopScanner(); else startScanner();
   });
 
+  // Photos: picked from the gallery/files, or dropped onto the scanner area
+  $('camera-select').addEventListener('change', e => switchCamera(e.target.value));
+  $('zoom-range').addEventListener('input', e => setZoom(e.target.value));
+  $('scanner-video').addEventListener('click', focusAt);
+
+  $('scan-photo-btn').addEventListener('click', () => $('scan-photo-input').click());
+  $('scan-photo-input').addEventListener('change', e => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    if (files.length) scanPhotos(files);
+  });
+  $('scanner-placeholder').addEventListener('dragover', e => { e.preventDefault(); e.currentTarget.classList.add('drop-target'); });
+  $('scanner-placeholder').addEventListener('dragleave', e => e.currentTarget.classList.remove('drop-target'));
+  $('scanner-placeholder').addEventListener('drop', e => {
+    e.preventDefault();
+    e.currentTarget.classList.remove('drop-target');
+    const files = [...e.dataTransfer.files].filter(f => f.type.startsWith('image/'));
+    if (files.length) scanPhotos(files);
+  });
+
+  // Rapid scan and its review tray
+  setRapidMode(rapidMode);
+  $('rapid-toggle').addEventListener('change', e => setRapidMode(e.target.checked));
+  setLoanMode(loanMode);
+  $('loan-toggle').addEventListener('change', e => setLoanMode(e.target.checked));
+
+  // Lending
+  $('loan-save-btn').addEventListener('click', saveCheckout);
+  $('loan-borrower').addEventListener('keydown', e => { if (e.key === 'Enter') saveCheckout(); });
+  $('loan-cancel-btn').addEventListener('click', () => $('loan-modal').classList.add('hidden'));
+  $('icon-close-loan').parentElement.addEventListener('click', () => $('loan-modal').classList.add('hidden'));
+  $('loan-modal').addEventListener('click', e => { if (e.target === $('loan-modal')) $('loan-modal').classList.add('hidden'); });
+  $('tray-accept-all').addEventListener('click', acceptAllTray);
+  $('tray-discard-all').addEventListener('click', discardAllTray);
+  if (activeProfile) resumeTray(activeProfile);
+
   // Manual entry
   $('manual-input').addEventListener('keydown', e => { if (e.key === 'Enter') doManualLookup(); });
   $('manual-lookup-btn').addEventListener('click', doManualLookup);
 
+  // Bulk add
+  $('bulk-open-btn').addEventListener('click', openBulkAdd);
+  $('bulk-text').addEventListener('input', renderBulkCount);
+  $('bulk-file').addEventListener('change', async e => {
+    const file = e.target.files[0];
+    if (!file) return;
+    $('bulk-text').value = await file.text();
+    renderBulkCount();
+  });
+  $('bulk-start-btn').addEventListener('click', bulkAddUI);
+  $('bulk-cancel-btn').addEventListener('click', () => $('bulk-modal').classList.add('hidden'));
+  $('icon-close-bulk').parentElement.addEventListener('click', () => $('bulk-modal').classList.add('hidden'));
+  $('bulk-modal').addEventListener('click', e => { if (e.target === $('bulk-modal')) $('bulk-modal').classList.add('hidden'); });
+  $('sync-progress-stop').addEventListener('click', () => { if (bulkRun) bulkRun.stopped = true; });
+
+  // Edit book
+  $('edit-save-btn').addEventListener('click', saveEditModal);
+  $('edit-cancel-btn').addEventListener('click', () => $('edit-modal').classList.add('hidden'));
+  $('icon-close-edit').parentElement.addEventListener('click', () => $('edit-modal').classList.add('hidden'));
+  $('edit-modal').addEventListener('click', e => { if (e.target === $('edit-modal')) $('edit-modal').classList.add('hidden'); });
+  $('attention-btn').addEventListener('click', () => { attentionOnly = !attentionOnly; renderBookList(); });
+
+  // Across libraries
+  $('global-search-btn').addEventListener('click', openGlobalSearch);
+  $('global-search-input').addEventListener('input', renderGlobalSearch);
+  $('search-close-btn').addEventListener('click', () => $('search-modal').classList.add('hidden'));
+  $('icon-close-search').parentElement.addEventListener('click', () => $('search-modal').classList.add('hidden'));
+  $('search-modal').addEventListener('click', e => { if (e.target === $('search-modal')) $('search-modal').classList.add('hidden'); });
+  $('select-btn').addEventListener('click', () => setSelectMode(!selectMode));
+  $('selection-all').addEventListener('click', () => {
+    (attentionOnly ? books.filter(b => !b.title) : filteredBooks()).forEach(b => selectedIsbns.add(b.isbn));
+    renderBookList();
+  });
+  $('selection-copy').addEventListener('click', () => transferSelected(false));
+  $('selection-move').addEventListener('click', () => transferSelected(true));
+  $('merge-save-btn').addEventListener('click', saveMerge);
+  $('merge-cancel-btn').addEventListener('click', () => $('merge-modal').classList.add('hidden'));
+  $('icon-close-merge').parentElement.addEventListener('click', () => $('merge-modal').classList.add('hidden'));
+  $('merge-modal').addEventListener('click', e => { if (e.target === $('merge-modal')) $('merge-modal').classList.add('hidden'); });
+
   // Clear all
   $('clear-all-btn').addEventListener('click', () => {
     if (!activeProfile) return;
-    if (!confirm('Remove all scanned books from this library? (Your Google Sheet data is not affected.)')) return;
+    const s = activeProfile.settings;
+    if (!confirm(s?.scriptUrl
+      ? 'Remove all scanned books from this library and from its Google Sheet?'
+      : 'Remove all scanned books from this library?')) return;
+    const profile = activeProfile;
+    const removed = books;
+    const entry = addToTrash(profile.id, { kind: 'clear', books: removed });
     clearBooks(activeProfile.id);
+    // Removals go through the outbox so they survive going offline part-way
+    if (s?.scriptUrl) removed.forEach(b => queueDelete(activeProfile.id, b.isbn, b.sheetVersion || ''));
     books = [];
     syncStatuses = {};
     renderBookList(); renderShelf(); renderDropdown(); renderTabBar();
-    toast('Library cleared', 'warn');
+    toast('Library cleared', 'warn', { label: 'Undo', run: () => restoreTrash(profile.id, entry.id) });
+    flushOutbox();
   });
 
   // Tab bar
   $('tab-scan').addEventListener('click', () => { activeView = 'scan'; renderTabBar(); renderViews(); });
   $('tab-shelf').addEventListener('click', () => { activeView = 'shelf'; renderTabBar(); renderViews(); renderShelf(); });
+  $('tab-stats').addEventListener('click', () => { activeView = 'stats'; renderTabBar(); renderViews(); renderStats(); });
 
   // Shelf search
-  $('shelf-search-input').addEventListener('input', e => {
-    shelfQuery = e.target.value.toLowerCase();
+  $('shelf-search-input').addEventListener('input', e => setShelfFilter({ query: e.target.value }));
+  $('shelf-sort').addEventListener('change', e => setShelfFilter({ sort: e.target.value }));
+  $('shelf-status').addEventListener('change', e => setShelfFilter({ status: e.target.value }));
+  window.addEventListener('hashchange', () => {
+    readHashState();
+    syncFilterInputs();
     renderShelf();
+    renderBookList();
   });
 
   // Setup modal
   $('setup-tab-guide').addEventListener('click', () => switchSetupTab('guide'));
   $('setup-tab-connection').addEventListener('click', () => switchSetupTab('connection'));
   $('setup-save-btn').addEventListener('click', saveSetupConnection);
+  $('setup-test-btn').addEventListener('click', testSetupConnection);
   $('icon-close-setup').parentElement.addEventListener('click', () => $('setup-modal').classList.add('hidden'));
   $('setup-modal').addEventListener('click', e => { if (e.target === $('setup-modal')) $('setup-modal').classList.add('hidden'); });
 
+  // Report modal
+  $('report-ok-btn').addEventListener('click', () => $('report-modal').classList.add('hidden'));
+  $('icon-close-report').parentElement.addEventListener('click', () => $('report-modal').classList.add('hidden'));
+  $('report-modal').addEventListener('click', e => { if (e.target === $('report-modal')) $('report-modal').classList.add('hidden'); });
+
   // Profile modal
   $('profile-save-btn').addEventListener('click', saveProfileModal);
+  $('profile-add-field').addEventListener('click', addCustomField);
+  $('profile-add-link').addEventListener('click', () => addLink());
+  $('profile-link-preset').addEventListener('change', e => {
+    const preset = LINK_PRESETS.find(l => l.id === e.target.value);
+    if (preset) addLink(preset);
+    e.target.value = '';
+  });
   $('profile-cancel-btn').addEventListener('click', () => $('profile-modal').classList.add('hidden'));
   $('icon-close-profile').parentElement.addEventListener('click', () => $('profile-modal').classList.add('hidden'));
   $('profile-modal').addEventListener('click', e => { if (e.target === $('profile-modal')) $('profile-modal').classList.add('hidden'); });
 
-  // Service worker
-  if ('serviceWorker' in navigator) {
-    navigator.serviceWorker.register('./sw.js').catch(() => {});
-  }
+  // Export / import modal
+  $('export-format').innerHTML = [...formats.values()].map(f => `<option value="${f.id}">${esc(f.name)}</option>`).join('');
+  $('export-btn').addEventListener('click', exportUI);
+  $('import-btn').addEventListener('click', importUI);
+  $('transfer-cancel-btn').addEventListener('click', () => $('transfer-modal').classList.add('hidden'));
+  $('icon-close-transfer').parentElement.addEventListener('click', () => $('transfer-modal').classList.add('hidden'));
+  $('transfer-modal').addEventListener('click', e => { if (e.target === $('transfer-modal')) $('transfer-modal').classList.add('hidden'); });
+
+  // Offline outbox: retry on reconnect, on launch and periodically while items remain
+  window.addEventListener('online', flushOutbox);
+  setInterval(flushOutbox, OUTBOX_RETRY_MS);
+  flushOutbox();
+
+  registerServiceWorker();
 });
 
 async function doManualLookup() {
-  const isbn = $('manual-input').value.trim().replace(/[-\s]/g, '');
-  if (!isbn) return;
-  if (!/^\d{9}[\dX]$|^\d{13}$/.test(isbn)) { toast('Please enter a valid 10 or 13 digit ISBN', 'warn'); return; }
+  const raw = $('manual-input').value.trim();
+  if (!raw) return;
+  const { isbn, price, error } = parseScan(raw);
+  if (!isbn) { toast(error, 'warn'); return; }
   $('manual-input').value = '';
-  await handleISBN(isbn);
+  if (loanMode) { handleLoanScan(isbn); return; }
+  await handleISBN(isbn, { price });
 }
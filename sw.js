@@ -1,24 +1,80 @@
-/* ISBN Scanner — Service Worker (cache-first app shell) */
-const CACHE = 'isbn-scanner-v1';
-const SHELL = ['./', './index.html', './app.css', './app.js', './manifest.json'];
+/* ISBN Scanner — Service Worker (precached app shell, runtime caches for covers and the scanner) */
+
+// VERSION is a hash of the files in PRECACHE, written by
+// tools/stamp-version.js (run it before committing a change to any of them).
+// The new worker downloads the whole list into a fresh cache, then waits until
+// the page accepts the "new version" prompt, so a tab never mixes files from
+// two releases.
+const VERSION = 'c926fdb834ac';
+const SHELL_CACHE = `isbn-scanner-shell-v${VERSION}`;
+const PRECACHE = [
+  './', './index.html', './app.css', './app.js', './manifest.json',
+  './favicon.ico', './favicon-16x16.png', './favicon-32x32.png', './apple-touch-icon.png',
+  './icon-192.png', './icon-512.png', './icon-maskable-192.png', './icon-maskable-512.png',
+];
+
+// Runtime caches outlive updates and drop their oldest entries past `max`.
+// Their names changed when they stopped keeping opaque responses, so activate
+// clears out the old ones.
+const COVERS = { name: 'isbn-scanner-covers-v2', max: 300 }; // cover images, from whichever host supplied them
+const LIBS   = { name: 'isbn-scanner-libs-v2',   max: 10 };  // the ZXing scripts, pinned by version in their URLs
+const LIB_HOSTS = ['unpkg.com'];
 
 self.addEventListener('install', e => {
-  e.waitUntil(caches.open(CACHE).then(c => c.addAll(SHELL)));
-  self.skipWaiting();
+  // cache: 'reload' skips the HTTP cache, which could still hold the last release
+  e.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' })))));
 });
 
 self.addEventListener('activate', e => {
+  const keep = [SHELL_CACHE, COVERS.name, LIBS.name];
   e.waitUntil(caches.keys().then(keys =>
-    Promise.all(keys.filter(k => k !== CACHE).map(k => caches.delete(k)))
+    Promise.all(keys.filter(k => !keep.includes(k)).map(k => caches.delete(k)))
   ));
   self.clients.claim();
 });
 
+// Sent by the page when the user accepts the update
+self.addEventListener('message', e => {
+  if (e.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
 self.addEventListener('fetch', e => {
-  const url = new URL(e.request.url);
-  // Always go to network for external APIs (book lookup, sheets, fonts)
-  if (url.origin !== location.origin) return;
-  e.respondWith(
-    caches.match(e.request).then(cached => cached || fetch(e.request))
-  );
+  const req = e.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin === location.origin) e.respondWith(fromShell(req));
+  else if (req.destination === 'script' && LIB_HOSTS.includes(url.hostname)) e.respondWith(cacheFirst(e, LIBS));
+  else if (req.destination === 'image') e.respondWith(cacheFirst(e, COVERS));
+  // Anything else (book lookups, the Apps Script, fonts) goes to the network
 });
+
+async function fromShell(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  // Every page URL is the one app shell, whatever its query string
+  const cached = req.mode === 'navigate' ? await cache.match('./index.html') : await cache.match(req);
+  return cached || fetch(req);
+}
+
+async function cacheFirst(e, { name, max }) {
+  const cache = await caches.open(name);
+  const cached = await cache.match(e.request);
+  if (cached) return cached;
+  // Covers and the CDN scripts are requested without CORS. An opaque answer
+  // could be a 404 and is counted as several MB of quota, so fetch a CORS copy
+  // and keep it only when it succeeded. Hosts that don't allow CORS still get
+  // through, just uncached.
+  let res;
+  try {
+    res = await fetch(e.request.url, { mode: 'cors', credentials: 'omit' });
+  } catch {
+    return fetch(e.request);
+  }
+  if (res.ok) e.waitUntil(cache.put(e.request, res.clone()).then(() => trim(cache, max)));
+  return res;
+}
+
+// Cache keys come back in insertion order, so the oldest go first
+async function trim(cache, max) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(k => cache.delete(k)));
+}
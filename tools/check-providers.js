@@ -0,0 +1,98 @@
+/* ============================================================
+   Checks each metadata provider in app.js against a local mock server:
+   that its response is mapped onto the book fields, that "no entry"
+   resolves to null, and that lookupISBN merges fields across providers.
+   Run with Node 18 or later:  node tools/check-providers.js
+   ============================================================ */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const vm = require('vm');
+
+const ISBN = '9780306406157';
+
+// Canned answers, keyed by the path and query each provider asks for
+const RESPONSES = {
+  [`/volumes?q=isbn:${ISBN}`]: {
+    totalItems: 1,
+    items: [{ volumeInfo: {
+      title: 'Mock Title', authors: ['Ann Author', 'Bo Writer'], publisher: 'Mock Press',
+      publishedDate: '2001-02-03', pageCount: 321, categories: ['Fiction', 'Drama'],
+      description: 'A description.', imageLinks: { thumbnail: 'http://covers.test/g.jpg' },
+    } }],
+  },
+  [`/api/books?bibkeys=ISBN:${ISBN}&format=json&jscmd=data`]: {
+    [`ISBN:${ISBN}`]: {
+      title: 'Open Title', authors: [{ name: 'Ann Author' }], publishers: [{ name: 'Open Press' }],
+      publish_date: '2001', number_of_pages: 320,
+      subjects: [{ name: 'One' }, { name: 'Two' }, { name: 'Three' }, { name: 'Four' }],
+      cover: { medium: 'https://covers.test/o.jpg' },
+    },
+  },
+  '/volumes?q=isbn:9780000000002': { totalItems: 0 },
+  '/api/books?bibkeys=ISBN:9780000000002&format=json&jscmd=data': {},
+};
+
+// app.js is a browser script; give it just enough of a page to load
+function loadApp() {
+  const store = new Map();
+  const context = vm.createContext({
+    console, fetch, URL, URLSearchParams, setTimeout, clearTimeout, setInterval, TextEncoder, TextDecoder,
+    navigator: {},
+    document: { addEventListener() {}, getElementById() { return null; } },
+    localStorage: {
+      getItem: k => store.has(k) ? store.get(k) : null,
+      setItem: (k, v) => store.set(k, String(v)),
+      removeItem: k => store.delete(k),
+    },
+  });
+  context.window = context;
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8'), context, { filename: 'app.js' });
+  return context;
+}
+
+async function main() {
+  const server = http.createServer((req, res) => {
+    const body = RESPONSES[decodeURIComponent(req.url)];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || {}));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const app = loadApp();
+  const providers = vm.runInContext('providers', app);
+  for (const p of providers.values()) p.baseUrl = base;
+  // No IndexedDB here, so the lookup cache is skipped and every call goes to the mock
+  app.console = { ...console, warn() {}, error() {} };
+
+  try {
+    assert.deepStrictEqual({ ...await providers.get('google').lookup(ISBN) }, {
+      title: 'Mock Title', authors: 'Ann Author, Bo Writer', publisher: 'Mock Press',
+      publishedDate: '2001-02-03', pageCount: 321, categories: 'Fiction, Drama',
+      description: 'A description.', coverUrl: 'https://covers.test/g.jpg',
+    });
+    assert.deepStrictEqual({ ...await providers.get('openlibrary').lookup(ISBN) }, {
+      title: 'Open Title', authors: 'Ann Author', publisher: 'Open Press',
+      publishedDate: '2001', pageCount: 320, categories: 'One, Two, Three',
+      coverUrl: 'https://covers.test/o.jpg',
+    });
+    for (const p of providers.values()) assert.strictEqual(await p.lookup('9780000000002'), null, `${p.id}: no entry`);
+
+    // Open Library first: its fields win, Google fills the description
+    const book = await vm.runInContext(`lookupISBN('${ISBN}', { providers: [{ id: 'openlibrary', enabled: true }, { id: 'google', enabled: true }] })`, app);
+    assert.strictEqual(book.title, 'Open Title');
+    assert.strictEqual(book.description, 'A description.');
+    assert.strictEqual(book.sources.title, 'openlibrary');
+    assert.strictEqual(book.sources.description, 'google');
+    console.log(`ok — ${providers.size} providers checked`);
+  } finally {
+    server.close();
+  }
+}
+
+main().catch(err => { console.error(err); process.exitCode = 1; });
@@ -0,0 +1,47 @@
+/* ============================================================
+   Sets VERSION in sw.js to a hash of every file in its PRECACHE list, so
+   any change to the app shell gives installed copies a new cache and the
+   "new version" prompt. Run with Node 18 or later before committing:
+     node tools/stamp-version.js          rewrite sw.js if the hash changed
+     node tools/stamp-version.js --check  fail if sw.js is out of date
+   ============================================================ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const swPath = path.join(root, 'sw.js');
+const VERSION_LINE = /^const VERSION = .*;$/m;
+
+function shellFiles(sw) {
+  const list = sw.match(/const PRECACHE = \[([^\]]*)\]/);
+  if (!list) throw new Error('No PRECACHE list in sw.js');
+  // './' is served from index.html, which is already in the list
+  return [...list[1].matchAll(/'([^']+)'/g)].map(m => m[1]).filter(f => f !== './');
+}
+
+function shellHash(sw) {
+  const hash = crypto.createHash('sha256');
+  for (const file of shellFiles(sw)) {
+    hash.update(file).update('\0').update(fs.readFileSync(path.join(root, file))).update('\0');
+  }
+  return hash.digest('hex').slice(0, 12);
+}
+
+const sw = fs.readFileSync(swPath, 'utf8');
+if (!VERSION_LINE.test(sw)) throw new Error('No VERSION line in sw.js');
+const line = `const VERSION = '${shellHash(sw)}';`;
+const current = sw.match(VERSION_LINE)[0];
+
+if (current === line) {
+  console.log(`sw.js is up to date (${line})`);
+} else if (process.argv.includes('--check')) {
+  console.error(`sw.js is out of date: expected ${line}, found ${current}. Run node tools/stamp-version.js`);
+  process.exitCode = 1;
+} else {
+  fs.writeFileSync(swPath, sw.replace(VERSION_LINE, line));
+  console.log(`sw.js: ${line}`);
+}